@@ -1,3 +1,19 @@
+import { readBlockConfig } from '../../scripts/aem.js';
+import { parseDuration } from '../../scripts/calendar.js';
+import {
+  fetchOptionalSheet,
+  getCommunityDetails,
+  getCommunityEvent,
+  getCommunityPath,
+  getCommunityRecording,
+  normalizeKey,
+} from '../../scripts/community-data.js';
+import { buildJoinButton } from '../../scripts/community-join.js';
+import { EVENT_STATUS, getEventEnd, getEventStatus } from '../../scripts/event-status.js';
+import { expandRecurringRows } from '../../scripts/recurrence.js';
+import { buildTagList, matchesTags } from '../../scripts/tags.js';
+import { isDateOnly, parseZonedDate, resolveTimeZone } from '../../scripts/timezones.js';
+
 function normalizeIconName(name = '') {
   const value = String(name)
     .trim()
@@ -12,10 +28,6 @@ const ICON_SCALE_OVERRIDES = {
   'program-management': 1.2,
 };
 
-function createDetailsHref(name) {
-  return `/communities/details?name=${encodeURIComponent(name)}`;
-}
-
 function createCardFromData(item) {
   const name = String(item?.name || '').trim();
   const titleText = String(item?.title || '').trim();
@@ -25,7 +37,7 @@ function createCardFromData(item) {
   const iconName = normalizeIconName(name);
   const basePath = window.hlx?.codeBasePath || '';
   const iconSrc = `${basePath}/icons/${iconName}.svg`;
-  const destination = createDetailsHref(name);
+  const destination = getCommunityPath(name);
 
   const li = document.createElement('li');
   li.classList.add('com-groups-card');
@@ -95,28 +107,334 @@ function createEmptyState() {
   return li;
 }
 
+/** Query parameters holding the directory's search, focus-area filter and sort. */
+const FILTER_PARAMS = {
+  query: 'communities-q',
+  tags: 'focus',
+  sort: 'sort',
+};
+
+const SORT_OPTIONS = [
+  { value: 'activity', label: 'Most active' },
+  { value: 'members', label: 'Most members' },
+  { value: 'name', label: 'Name (A–Z)' },
+];
+
+const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
+const byTitle = (a, b) => a.community.title.localeCompare(b.community.title);
+
+const SORTERS = {
+  activity: (a, b) => (b.activity.upcomingEvents - a.activity.upcomingEvents)
+    || ((b.activity.latestRecording || 0) - (a.activity.latestRecording || 0))
+    || byTitle(a, b),
+  members: (a, b) => (b.community.members - a.community.members) || byTitle(a, b),
+  name: byTitle,
+};
+
+const RECORDING_DATE_FORMAT = new Intl.DateTimeFormat('en-GB', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+});
+
+/**
+ * Works out how active each community is: how many of its events have not ended yet
+ * (recurring series count each upcoming occurrence) and when it last published a recording.
+ * @param {Array<Object>} events - Events sheet records.
+ * @param {Array<Object>} recordings - Recordings sheet records.
+ * @returns {Map<string, {upcomingEvents: number, latestRecording: Date|null}>} Activity by
+ *   community slug.
+ */
+function getCommunityActivity(events, recordings) {
+  const activity = new Map();
+  const getEntry = (name) => {
+    const slug = normalizeKey(name);
+    if (!activity.has(slug)) activity.set(slug, { upcomingEvents: 0, latestRecording: null });
+    return activity.get(slug);
+  };
+
+  const now = new Date();
+  expandRecurringRows(events, { dateField: 'date' }).map(getCommunityEvent).forEach((event) => {
+    const timeZone = resolveTimeZone(event.timezone);
+    const dateOnly = isDateOnly(event.date);
+    const start = parseZonedDate(event.date, timeZone);
+    const end = getEventEnd(start, {
+      endTime: event.endTime,
+      durationMinutes: parseDuration(event.duration),
+      dateOnly,
+      timeZone,
+    });
+    if (start && getEventStatus(start, end, now) !== EVENT_STATUS.ENDED) {
+      getEntry(event.name).upcomingEvents += 1;
+    }
+  });
+
+  recordings.map(getCommunityRecording).forEach((recording) => {
+    const date = parseZonedDate(recording.date);
+    const entry = getEntry(recording.name);
+    if (date && (!entry.latestRecording || date > entry.latestRecording)) {
+      entry.latestRecording = date;
+    }
+  });
+  return activity;
+}
+
+/** Adds a community's activity, member count and focus areas to its card. */
+function appendDirectoryDetails(card, community, activity) {
+  const { upcomingEvents, latestRecording } = activity;
+  const stats = [];
+  if (upcomingEvents) {
+    stats.push(`${upcomingEvents} upcoming event${upcomingEvents === 1 ? '' : 's'}`);
+  }
+  if (latestRecording) {
+    stats.push(`Last recording ${RECORDING_DATE_FORMAT.format(latestRecording)}`);
+  }
+  if (community.members) {
+    stats.push(`${community.members} member${community.members === 1 ? '' : 's'}`);
+  }
+
+  const link = card.querySelector('.com-groups-link');
+  if (stats.length) {
+    const meta = document.createElement('p');
+    meta.className = 'com-groups-stats';
+    meta.textContent = stats.join(' · ');
+    link.before(meta);
+  }
+  const tags = buildTagList(community.tags, 'com-groups-tags');
+  if (tags) link.before(tags);
+}
+
+/**
+ * Reads the directory's search, filter and sort from the query string, falling back to
+ * defaults for missing or unknown values.
+ * @returns {{query: string, tags: Set<string>, sort: string}}
+ */
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const sort = params.get(FILTER_PARAMS.sort);
+  return {
+    query: params.get(FILTER_PARAMS.query) || '',
+    tags: new Set(params.getAll(FILTER_PARAMS.tags).filter(Boolean)),
+    sort: SORTERS[sort] ? sort : DEFAULT_SORT,
+  };
+}
+
+/**
+ * Serializes the directory state to the query string (defaults are left out). Each change
+ * adds a history entry; consecutive keystrokes in the search field update a single entry.
+ * @param {HTMLElement} block
+ * @param {string} change - What changed ('query', 'tags', 'sort' or 'clear').
+ */
+function writeFiltersToUrl(block, change) {
+  const url = new URL(window.location.href);
+  Object.values(FILTER_PARAMS).forEach((param) => url.searchParams.delete(param));
+  const query = block.groupsQuery.trim();
+  if (query) url.searchParams.set(FILTER_PARAMS.query, query);
+  block.groupsTags.forEach((tag) => url.searchParams.append(FILTER_PARAMS.tags, tag));
+  if (block.groupsSort !== DEFAULT_SORT) url.searchParams.set(FILTER_PARAMS.sort, block.groupsSort);
+  if (url.href === window.location.href) return;
+
+  const state = { groupsFilters: true, change };
+  const isTyping = change === 'query' && window.history.state?.change === 'query';
+  if (isTyping) window.history.replaceState(state, '', url.href);
+  else window.history.pushState(state, '', url.href);
+}
+
+/** Applies directory state to the block and reflects it in the controls. */
+function applyFilters(block, filters) {
+  block.groupsQuery = filters.query;
+  block.groupsTags = filters.tags;
+  block.groupsSort = filters.sort;
+  block.querySelector('.com-groups-search').value = filters.query;
+  block.querySelector('.com-groups-sort').value = filters.sort;
+  block.querySelectorAll('.com-groups-filter').forEach((checkbox) => {
+    checkbox.checked = filters.tags.has(checkbox.value);
+  });
+}
+
+/** Shows the communities matching the search and focus areas, in the chosen order. */
+function updateDirectory(block) {
+  const words = block.groupsQuery.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = block.groupsEntries
+    .filter((entry) => words.every((word) => entry.searchText.includes(word)))
+    .filter((entry) => matchesTags(entry.community.tags, block.groupsTags))
+    .sort(SORTERS[block.groupsSort]);
+
+  const list = block.querySelector(':scope > ul');
+  list.replaceChildren(...matches.map((entry) => entry.card));
+  if (!matches.length) list.append(block.groupsNoMatches);
+
+  const total = block.groupsEntries.length;
+  block.querySelector('.com-groups-count').textContent = matches.length === total
+    ? `${total} communit${total === 1 ? 'y' : 'ies'}`
+    : `${matches.length} of ${total} communities`;
+}
+
+/** Builds the card shown when no community matches the search and filters. */
+function createNoMatches(block) {
+  const li = document.createElement('li');
+  li.className = 'com-groups-card com-groups-empty';
+
+  const title = document.createElement('h3');
+  title.textContent = 'No matching communities';
+
+  const description = document.createElement('p');
+  description.textContent = 'Try other words or fewer focus areas.';
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'com-groups-clear';
+  clear.textContent = 'Clear filters';
+  clear.addEventListener('click', () => {
+    applyFilters(block, { query: '', tags: new Set(), sort: block.groupsSort });
+    updateDirectory(block);
+    writeFiltersToUrl(block, 'clear');
+    block.querySelector('.com-groups-search').focus();
+  });
+
+  li.append(title, description, clear);
+  return li;
+}
+
+/** Builds the search field, sort menu and focus-area filter. */
+function buildDirectoryControls(block) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'com-groups-toolbar';
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'com-groups-search';
+  search.placeholder = 'Search communities, topics or leads';
+  search.setAttribute('aria-label', 'Search communities');
+  search.addEventListener('input', () => {
+    block.groupsQuery = search.value;
+    updateDirectory(block);
+    writeFiltersToUrl(block, 'query');
+  });
+
+  const sort = document.createElement('select');
+  sort.className = 'com-groups-sort';
+  sort.setAttribute('aria-label', 'Sort communities');
+  SORT_OPTIONS.forEach(({ value, label }) => sort.append(new Option(label, value)));
+  sort.addEventListener('change', () => {
+    block.groupsSort = sort.value;
+    updateDirectory(block);
+    writeFiltersToUrl(block, 'sort');
+  });
+  toolbar.append(search, sort);
+
+  const tags = [...new Map(block.groupsEntries
+    .flatMap((entry) => entry.community.tags)
+    .map((tag) => [tag.toLowerCase(), tag])).values()]
+    .sort((a, b) => a.localeCompare(b));
+  let filters = null;
+  if (tags.length) {
+    filters = document.createElement('fieldset');
+    filters.className = 'com-groups-filters';
+    const legend = document.createElement('legend');
+    legend.textContent = 'Focus area';
+    filters.append(legend);
+    tags.forEach((tag) => {
+      const label = document.createElement('label');
+      label.className = 'com-groups-filter-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'com-groups-filter';
+      checkbox.value = tag;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) block.groupsTags.add(tag);
+        else block.groupsTags.delete(tag);
+        updateDirectory(block);
+        writeFiltersToUrl(block, 'tags');
+      });
+      label.append(checkbox, tag);
+      filters.append(label);
+    });
+  }
+
+  const count = document.createElement('p');
+  count.className = 'com-groups-count';
+  count.setAttribute('aria-live', 'polite');
+
+  return [toolbar, filters, count].filter(Boolean);
+}
+
+/**
+ * Turns the grid into a searchable directory. Activity comes from the community events
+ * and recordings sheets linked in optional "Events" and "Recordings" config rows.
+ * @param {HTMLElement} block
+ * @param {Array<{item: Object, card: HTMLElement}>} cards - Community rows and their cards.
+ * @param {Object} config - Block config.
+ */
+async function decorateDirectory(block, cards, config) {
+  const [events, recordings] = await Promise.all([
+    fetchOptionalSheet(config.events),
+    fetchOptionalSheet(config.recordings),
+  ]);
+  const activity = getCommunityActivity(events, recordings);
+
+  block.groupsEntries = cards.map(({ item, card }) => {
+    const community = getCommunityDetails(item);
+    const entry = {
+      community,
+      card,
+      activity: activity.get(normalizeKey(community.name))
+        || { upcomingEvents: 0, latestRecording: null },
+      searchText: [community.name, community.title, community.description, community.leads]
+        .join(' ')
+        .toLowerCase(),
+    };
+    appendDirectoryDetails(card, community, entry.activity);
+    return entry;
+  });
+
+  block.prepend(...buildDirectoryControls(block));
+  block.groupsNoMatches = createNoMatches(block);
+  applyFilters(block, readFiltersFromUrl());
+  updateDirectory(block);
+
+  /* Back/forward: restore the search and filters of that history entry */
+  window.addEventListener('popstate', () => {
+    applyFilters(block, readFiltersFromUrl());
+    updateDirectory(block);
+  });
+}
+
+/**
+ * Community grid from the sheet linked in the first row. The "directory" variant adds
+ * search, focus-area filters and sorting by activity or size, kept in the query string.
+ * An optional "Join form" config row adds a Join button to each card.
+ */
 export default async function decorate(block) {
   const ul = document.createElement('ul');
   const sourceUrl = getSourceUrl(block);
-  let hasItems = false;
+  const config = readBlockConfig(block);
+  const joinForm = config['join-form'];
+  const cards = [];
 
   try {
     const items = sourceUrl ? await fetchGroupsData(sourceUrl) : [];
     items.forEach((item) => {
       const card = createCardFromData(item);
-      if (card) {
-        ul.append(card);
-        hasItems = true;
+      if (!card) return;
+      if (joinForm) {
+        card.append(buildJoinButton(joinForm, getCommunityDetails(item), 'com-groups-join'));
       }
+      cards.push({ item, card });
     });
   } catch (e) {
     // show empty-state card instead of exposing raw config links
   }
 
-  if (!hasItems) {
-    ul.append(createEmptyState());
-  }
-
   block.textContent = '';
   block.append(ul);
+
+  if (!cards.length) {
+    ul.append(createEmptyState());
+  } else if (block.classList.contains('directory')) {
+    await decorateDirectory(block, cards, config);
+  } else {
+    ul.append(...cards.map(({ card }) => card));
+  }
 }
@@ -1,74 +1,85 @@
-import { decorateIcons } from '../../scripts/aem.js';
-
-function toRelativeUrl(input) {
-  if (!input) return '';
-  const value = input.trim();
-  if (!value) return '';
-
-  if (value.startsWith('/')) return value;
-  if (!value.startsWith('http://') && !value.startsWith('https://')) {
-    return `/${value.replace(/^\/+/, '')}`;
-  }
-
-  try {
-    const parsed = new URL(value, window.location.origin);
-    return `${parsed.pathname}${parsed.search}`;
-  } catch (e) {
-    return '';
+import { decorateIcons, readBlockConfig } from '../../scripts/aem.js';
+import {
+  fetchSheet,
+  findCloseCommunities,
+  getCommunityDetails,
+  getCommunityPath,
+  getCommunitySlug,
+  getSheetSource,
+  resolveCommunity,
+} from '../../scripts/community-data.js';
+import { buildJoinButton } from '../../scripts/community-join.js';
+
+/**
+ * Builds the state shown when the page's slug matches no community, suggesting the
+ * communities it was probably meant to be rather than showing another one.
+ * @param {Array<Object>} records - Details sheet records.
+ * @param {string} slug - Community slug.
+ * @returns {HTMLElement} Not-found message.
+ */
+function createNotFound(records, slug) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'comd-details-not-found';
+
+  const title = document.createElement('p');
+  title.className = 'comd-details-title';
+  title.textContent = 'Community not found';
+  const message = document.createElement('p');
+  message.textContent = slug
+    ? `We couldn't find a community called "${slug}".`
+    : 'No community was given.';
+  wrapper.append(title, message);
+
+  const matches = findCloseCommunities(records, slug).map(getCommunityDetails);
+  if (matches.length) {
+    const intro = document.createElement('p');
+    intro.textContent = 'Did you mean:';
+    const list = document.createElement('ul');
+    list.className = 'comd-details-suggestions';
+    matches.forEach((match) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = getCommunityPath(match.name);
+      link.textContent = match.title || match.name;
+      item.append(link);
+      list.append(item);
+    });
+    wrapper.append(intro, list);
   }
-}
 
-function normalizeKey(value) {
-  return (value || '')
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '');
-}
-
-function resolveIconName(record) {
-  const name = String(record?.name || '').trim();
-  if (!name) return 'community-link';
-  return normalizeKey(name) || 'community-link';
-}
-
-function pickCommunity(records, queryName) {
-  if (!records.length) return null;
-  if (!queryName) return records[0];
-
-  const normalizedQuery = normalizeKey(queryName);
-
-  return records.find((entry) => normalizeKey(entry.name) === normalizedQuery)
-    || records.find((entry) => normalizeKey(entry.title) === normalizedQuery)
-    || records.find((entry) => normalizeKey(entry.name).startsWith(normalizedQuery))
-    || records.find((entry) => normalizedQuery.startsWith(normalizeKey(entry.name)))
-    || records[0];
+  const browse = document.createElement('a');
+  browse.className = 'comd-details-browse';
+  browse.href = '/communities';
+  browse.textContent = 'Browse all communities';
+  wrapper.append(browse);
+  return wrapper;
 }
 
+/**
+ * Details of the page's community from the sheet in the first cell. An optional
+ * "Join form" config row adds a Join button that opens that form in a modal.
+ */
 export default async function decorate(block) {
-  const source = block.querySelector(':scope > div > div')?.textContent?.trim();
-  const relativeSource = toRelativeUrl(source);
+  const source = getSheetSource(block);
+  const joinForm = readBlockConfig(block)['join-form'];
 
   block.textContent = '';
 
-  if (!relativeSource) {
+  if (!source) {
     return;
   }
 
   try {
-    const response = await fetch(relativeSource, {
-      credentials: 'include',
-      headers: { Accept: 'application/json' },
-    });
-    if (!response.ok) throw new Error(`Failed to fetch ${relativeSource}`);
-    const payload = await response.json();
-    const records = Array.isArray(payload?.data) ? payload.data : [];
-
-    const nameFromUrl = new URL(window.location.href).searchParams.get('name');
-    const selected = pickCommunity(records, nameFromUrl);
+    const records = await fetchSheet(source);
+    const slug = getCommunitySlug();
+    const record = resolveCommunity(records, slug);
 
-    if (!selected) return;
+    if (!record) {
+      block.append(createNotFound(records, slug));
+      return;
+    }
+    const selected = getCommunityDetails(record);
+    if (selected.title) document.title = selected.title;
 
     const wrapper = document.createElement('div');
     wrapper.className = 'comd-details-item';
@@ -76,17 +87,18 @@ export default async function decorate(block) {
     const iconWrap = document.createElement('div');
     iconWrap.className = 'comd-details-icon-wrap';
     const icon = document.createElement('span');
-    icon.className = `icon icon-${resolveIconName(selected)}`;
+    icon.className = `icon icon-${selected.icon}`;
     iconWrap.append(icon);
 
     const content = document.createElement('div');
     content.className = 'comd-details-content';
     const title = document.createElement('p');
     title.className = 'comd-details-title';
-    title.textContent = selected.title || '';
+    title.textContent = selected.title;
     const description = document.createElement('p');
-    description.textContent = selected.description || '';
+    description.textContent = selected.description;
     content.append(title, description);
+    if (joinForm) content.append(buildJoinButton(joinForm, selected, 'comd-details-join'));
 
     wrapper.append(iconWrap, content);
 
@@ -1,130 +1,208 @@
-function toRelativeUrl(input) {
-  if (!input) return '';
-
-  try {
-    const parsed = new URL(input, window.location.origin);
-    return `${parsed.pathname}${parsed.search}`;
-  } catch (e) {
-    return input;
-  }
-}
-
-function normalizeKey(value) {
-  return (value || '')
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '');
-}
-
-function parseSheetDate(value) {
-  if (value == null || value === '') return null;
-
-  const num = Number(value);
-  if (!Number.isNaN(num)) {
-    return new Date((num - 25569) * 86400 * 1000);
-  }
-
-  const parsed = new Date(value);
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
-}
-
-function isSameOrFuture(date) {
-  if (!date) return false;
-  const today = new Date();
-  const dayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const valueDayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  return valueDayStart >= dayStart;
-}
-
-function formatUpcomingDate(date) {
-  if (!date) return '';
-  return new Intl.DateTimeFormat('en-GB', {
-    weekday: 'short',
-    day: '2-digit',
-    month: 'short',
-    year: 'numeric',
-  }).format(date);
-}
-
-function formatPastDate(date) {
-  if (!date) return '';
-  return new Intl.DateTimeFormat('en-GB', {
-    day: '2-digit',
-    month: 'short',
-    year: 'numeric',
-  }).format(date);
-}
-
-function resolveCommunityEvents(records, queryName) {
-  if (!records.length) return [];
-  if (!queryName) return records;
-
-  const normalizedQuery = normalizeKey(queryName);
-
-  return records.filter((entry) => {
-    const eventName = normalizeKey(entry.name);
-    return eventName === normalizedQuery
-      || eventName.startsWith(normalizedQuery)
-      || normalizedQuery.startsWith(eventName);
+import { readBlockConfig } from '../../scripts/aem.js';
+import { buildAddToCalendar, parseDuration, toCalendarEvent } from '../../scripts/calendar.js';
+import {
+  fetchSheet, filterCommunityRecords, getCommunityEvent, getSheetSource,
+} from '../../scripts/community-data.js';
+import {
+  EVENT_STATUS, getCountdownText, getEventEnd, getEventStatus, watchEventStatus,
+} from '../../scripts/event-status.js';
+import { describeRecurrence, expandRecurringRows } from '../../scripts/recurrence.js';
+import { buildSpeakerLinks } from '../../scripts/speakers.js';
+import { buildTagList, splitTags } from '../../scripts/tags.js';
+import {
+  buildZonedTime, isDateOnly, parseZonedDate, resolveTimeZone,
+} from '../../scripts/timezones.js';
+
+const UPCOMING_DATE_FORMAT = {
+  weekday: 'short',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+};
+
+const PAST_DATE_FORMAT = {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+};
+
+function getCalendarEvent(event, date, end, timeZone) {
+  const { link, speaker } = event;
+  return toCalendarEvent({
+    title: event.title,
+    start: date,
+    end,
+    allDay: isDateOnly(event.date),
+    timeZone,
+    description: [speaker && `Speaker: ${speaker}`, event.description]
+      .filter(Boolean)
+      .join('\n\n'),
+    url: /^https?:/i.test(link) ? link : '',
   });
 }
 
-function createEventItem(event) {
+const STATUS_LABELS = {
+  [EVENT_STATUS.UPCOMING]: 'UPCOMING',
+  [EVENT_STATUS.SOON]: 'STARTING SOON',
+  [EVENT_STATUS.LIVE]: 'LIVE',
+  [EVENT_STATUS.ENDED]: 'PAST',
+};
+
+/**
+ * Builds an event item. Dates are read in the row's `timezone` column, else the block's
+ * "Timezone" config; events last until their `endTime`, or for their `duration`. Like the
+ * events block, items count down, offer Join while live and update until the event ends.
+ * @param {Object} event - Event row.
+ * @param {string} blockTimeZone - Zone from the block config.
+ * @param {Function} [onEnded] - Called when an event shown as upcoming ends.
+ * @returns {{item: HTMLElement, date: Date, upcoming: boolean}} Item, start and group.
+ */
+function createEventItem(event, blockTimeZone = '', onEnded = () => {}) {
   const item = document.createElement('article');
-  const date = parseSheetDate(event.date);
-  const upcoming = isSameOrFuture(date);
-  item.className = `comd-events-item ${upcoming ? 'is-upcoming' : 'is-past'}`;
+  const timeZone = resolveTimeZone(event.timezone) || blockTimeZone;
+  const dateOnly = isDateOnly(event.date);
+  const date = parseZonedDate(event.date, timeZone);
+  const end = getEventEnd(date, {
+    endTime: event.endTime,
+    durationMinutes: parseDuration(event.duration),
+    dateOnly,
+    timeZone,
+  });
+  const upcoming = getEventStatus(date, end) !== EVENT_STATUS.ENDED;
+  item.className = 'comd-events-item';
 
   const badge = document.createElement('span');
   badge.className = 'comd-events-badge';
-  badge.textContent = upcoming ? 'UPCOMING' : 'PAST';
 
   const content = document.createElement('div');
   content.className = 'comd-events-content';
 
   const title = document.createElement('p');
   title.className = 'comd-events-title';
-  title.textContent = event.title || '';
+  title.textContent = event.title;
 
   const meta = document.createElement('p');
   meta.className = 'comd-events-meta';
-  const dateText = upcoming ? formatUpcomingDate(date) : formatPastDate(date);
-  meta.textContent = upcoming && event.duration
-    ? `${dateText} · ${event.duration}`
-    : dateText;
+  if (date) {
+    meta.append(buildZonedTime(date, {
+      className: 'comd-events-time',
+      format: upcoming ? UPCOMING_DATE_FORMAT : PAST_DATE_FORMAT,
+      timeZone,
+      dateOnly: dateOnly || !upcoming,
+    }));
+  }
+  if (upcoming && event.duration) meta.append(` · ${event.duration}`);
+  const recurrence = describeRecurrence(event.recurrenceRule);
+  if (upcoming && recurrence) meta.append(` · ${recurrence}`);
 
   const description = document.createElement('p');
   description.className = 'comd-events-description';
-  description.textContent = event.description || '';
+  description.textContent = event.description;
+
+  content.append(title, meta);
+  if (event.speaker) {
+    const speaker = document.createElement('p');
+    speaker.className = 'comd-events-speaker';
+    speaker.append('By ', buildSpeakerLinks(event.speaker));
+    content.append(speaker);
+  }
+  content.append(description);
+  const tags = buildTagList(splitTags(event.tag), 'comd-events-tags');
+  if (tags) content.append(tags);
+
+  const countdown = document.createElement('p');
+  countdown.className = 'comd-events-countdown';
+  countdown.hidden = true;
+  content.append(countdown);
+
+  const { link } = event;
+  let join = null;
+  if (upcoming && /^https?:/i.test(link)) {
+    join = document.createElement('a');
+    join.href = link;
+    join.className = 'comd-events-join';
+    join.textContent = 'Join now';
+    join.target = '_blank';
+    join.rel = 'noopener';
+    join.hidden = true;
+    content.append(join);
+  }
 
-  content.append(title, meta, description);
+  const calendarEvent = upcoming && getCalendarEvent(event, date, end, timeZone);
+  const addToCalendar = calendarEvent && buildAddToCalendar(calendarEvent, 'comd-events-calendar');
+  if (addToCalendar) content.append(addToCalendar);
   item.append(badge, content);
 
+  watchEventStatus(item, date, end, (status, now) => {
+    const ended = status === EVENT_STATUS.ENDED;
+    const live = status === EVENT_STATUS.LIVE;
+    item.classList.toggle('is-upcoming', !ended);
+    item.classList.toggle('is-soon', status === EVENT_STATUS.SOON);
+    item.classList.toggle('is-live', live);
+    item.classList.toggle('is-past', ended);
+    badge.textContent = live && dateOnly ? 'TODAY' : STATUS_LABELS[status];
+    countdown.textContent = dateOnly ? '' : getCountdownText(status, date, end, now);
+    countdown.hidden = !countdown.textContent;
+    // joining is offered from shortly before the start until the end
+    if (join) join.hidden = !live && status !== EVENT_STATUS.SOON;
+    if (addToCalendar) addToCalendar.hidden = ended;
+    if (ended && upcoming) onEnded();
+  });
+
   return { item, date, upcoming };
 }
 
+/**
+ * Builds the list: upcoming (and live) events first, soonest first, then past events,
+ * latest first. When an upcoming event ends, the list is built again in its place.
+ * @param {Array<Object>} events - Event rows.
+ * @param {string} timeZone - Zone from the block config.
+ * @returns {HTMLDivElement} Event list.
+ */
+function renderEventList(events, timeZone) {
+  const list = document.createElement('div');
+  list.className = 'comd-events-list';
+  let resort;
+  const onEnded = () => {
+    clearTimeout(resort);
+    resort = setTimeout(() => list.replaceWith(renderEventList(events, timeZone)));
+  };
+
+  const rendered = events.map((event) => createEventItem(event, timeZone, onEnded));
+  const upcoming = rendered
+    .filter((entry) => entry.upcoming)
+    .sort((a, b) => (a.date?.getTime() || 0) - (b.date?.getTime() || 0));
+  const past = rendered
+    .filter((entry) => !entry.upcoming)
+    .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+  [...upcoming, ...past].forEach((entry) => list.append(entry.item));
+  return list;
+}
+
+/**
+ * Community events from the sheet in the first cell. Rows with a `recurrence` rule are
+ * listed as their occurrences (see scripts/recurrence.js), up to the days ahead in an
+ * optional "Recurrence window" config row.
+ */
 export default async function decorate(block) {
-  const source = block.querySelector(':scope > div > div')?.textContent?.trim();
-  const relativeSource = toRelativeUrl(source);
+  const source = getSheetSource(block);
+  const config = readBlockConfig(block);
+  const timeZone = resolveTimeZone(config.timezone);
+  const windowDays = parseInt(config['recurrence-window'], 10) || 0;
 
   block.textContent = '';
-  if (!relativeSource) return;
+  if (!source) return;
 
   try {
-    const response = await fetch(relativeSource, {
-      credentials: 'include',
-      headers: { Accept: 'application/json' },
-    });
-    if (!response.ok) throw new Error(`Failed to fetch ${relativeSource}`);
-
-    const payload = await response.json();
-    const records = Array.isArray(payload?.data) ? payload.data : [];
-    const queryName = new URL(window.location.href).searchParams.get('name');
-    const filtered = resolveCommunityEvents(records, queryName);
-
-    if (!filtered.length) {
+    const events = expandRecurringRows(filterCommunityRecords(await fetchSheet(source)), {
+      dateField: 'date',
+      timeZone,
+      lookaheadDays: windowDays || undefined,
+    }).map(getCommunityEvent);
+
+    if (!events.length) {
       const empty = document.createElement('p');
       empty.className = 'comd-events-empty';
       empty.textContent = 'No events.';
@@ -132,19 +210,7 @@ export default async function decorate(block) {
       return;
     }
 
-    const rendered = filtered.map(createEventItem);
-    const upcoming = rendered
-      .filter((entry) => entry.upcoming)
-      .sort((a, b) => (a.date?.getTime() || 0) - (b.date?.getTime() || 0));
-    const past = rendered
-      .filter((entry) => !entry.upcoming)
-      .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
-
-    const list = document.createElement('div');
-    list.className = 'comd-events-list';
-    [...upcoming, ...past].forEach((entry) => list.append(entry.item));
-
-    block.append(list);
+    block.append(renderEventList(events, timeZone));
   } catch (e) {
     const fallback = document.createElement('p');
     fallback.className = 'comd-events-error';
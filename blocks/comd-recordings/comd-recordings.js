@@ -1,35 +1,11 @@
-function toRelativeUrl(input) {
-  if (!input) return '';
-
-  try {
-    const parsed = new URL(input, window.location.origin);
-    return `${parsed.pathname}${parsed.search}`;
-  } catch (e) {
-    return input;
-  }
-}
-
-function normalizeKey(value) {
-  return (value || '')
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '');
-}
-
-function resolveCommunityRecords(records, queryName) {
-  if (!records.length) return [];
-  if (!queryName) return records;
-
-  const normalizedQuery = normalizeKey(queryName);
-  return records.filter((entry) => {
-    const key = normalizeKey(entry.name);
-    return key === normalizedQuery
-      || key.startsWith(normalizedQuery)
-      || normalizedQuery.startsWith(key);
-  });
-}
+import { buildSpeakerLinks } from '../../scripts/speakers.js';
+import { buildTagList, splitTags } from '../../scripts/tags.js';
+import {
+  fetchSheet,
+  filterCommunityRecords,
+  getCommunityRecording,
+  getSheetSource,
+} from '../../scripts/community-data.js';
 
 function formatSheetDate(value) {
   if (value == null || value === '') return '';
@@ -72,7 +48,14 @@ function createRecordingCard(record) {
 
   const title = document.createElement('p');
   title.className = 'comd-recordings-title';
-  title.textContent = record.title || '';
+  title.textContent = record.title;
+
+  if (record.speaker) {
+    const speaker = document.createElement('p');
+    speaker.className = 'comd-recordings-speaker';
+    speaker.append('By ', buildSpeakerLinks(record.speaker));
+    body.append(speaker);
+  }
 
   const dateText = formatSheetDate(record.date);
   if (dateText) {
@@ -84,42 +67,35 @@ function createRecordingCard(record) {
 
   const description = document.createElement('p');
   description.className = 'comd-recordings-description';
-  description.textContent = record.description || '';
+  description.textContent = record.description;
 
   const link = document.createElement('a');
   link.className = 'comd-recordings-link';
   link.textContent = 'View recording';
-  link.href = (record.link || '').trim() || '#';
+  link.href = record.link || '#';
   link.target = '_blank';
   link.rel = 'noopener';
 
   body.prepend(title);
-  body.append(description, link);
+  body.append(description);
+  const tags = buildTagList(splitTags(record.tag), 'comd-recordings-tags');
+  if (tags) body.append(tags);
+  body.append(link);
 
   card.append(top, body);
   return card;
 }
 
 export default async function decorate(block) {
-  const source = block.querySelector(':scope > div > div')?.textContent?.trim();
-  const relativeSource = toRelativeUrl(source);
+  const source = getSheetSource(block);
 
   block.textContent = '';
-  if (!relativeSource) return;
+  if (!source) return;
 
   try {
-    const response = await fetch(relativeSource, {
-      credentials: 'include',
-      headers: { Accept: 'application/json' },
-    });
-    if (!response.ok) throw new Error(`Failed to fetch ${relativeSource}`);
-
-    const payload = await response.json();
-    const records = Array.isArray(payload?.data) ? payload.data : [];
-    const queryName = new URL(window.location.href).searchParams.get('name');
-    const filtered = resolveCommunityRecords(records, queryName);
-
-    if (!filtered.length) {
+    const records = filterCommunityRecords(await fetchSheet(source)).map(getCommunityRecording);
+
+    if (!records.length) {
       const empty = document.createElement('p');
       empty.className = 'comd-recordings-empty';
       empty.textContent = 'No recordings.';
@@ -129,7 +105,7 @@ export default async function decorate(block) {
 
     const grid = document.createElement('div');
     grid.className = 'comd-recordings-grid';
-    filtered.forEach((record) => grid.append(createRecordingCard(record)));
+    records.forEach((record) => grid.append(createRecordingCard(record)));
 
     block.append(grid);
   } catch (e) {
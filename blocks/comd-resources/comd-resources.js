@@ -1,35 +1,9 @@
-function toRelativeUrl(input) {
-  if (!input) return '';
-
-  try {
-    const parsed = new URL(input, window.location.origin);
-    return `${parsed.pathname}${parsed.search}`;
-  } catch (e) {
-    return input;
-  }
-}
-
-function normalizeKey(value) {
-  return (value || '')
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '');
-}
-
-function resolveCommunityResources(records, queryName) {
-  if (!records.length) return [];
-  if (!queryName) return records;
-
-  const normalizedQuery = normalizeKey(queryName);
-  return records.filter((entry) => {
-    const key = normalizeKey(entry.name);
-    return key === normalizedQuery
-      || key.startsWith(normalizedQuery)
-      || normalizedQuery.startsWith(key);
-  });
-}
+import {
+  fetchSheet,
+  filterCommunityRecords,
+  getCommunityResource,
+  getSheetSource,
+} from '../../scripts/community-data.js';
 
 function parseDateValue(value) {
   if (value == null || value === '') return Number.MIN_SAFE_INTEGER;
@@ -41,13 +15,7 @@ function parseDateValue(value) {
 }
 
 function resolveResourceCtaLabel(record = {}) {
-  const labelSource = [
-    record.type,
-    record.category,
-    record.format,
-    record.resourceType,
-    record.title,
-  ].filter(Boolean).join(' ').toLowerCase();
+  const labelSource = [record.type, record.title].filter(Boolean).join(' ').toLowerCase();
 
   if (labelSource.includes('playbook')) return 'Read playbook →';
   return 'View resource →';
@@ -59,15 +27,15 @@ function createResourceCard(record) {
 
   const title = document.createElement('p');
   title.className = 'comd-resources-title';
-  title.textContent = record.title || '';
+  title.textContent = record.title;
 
   const description = document.createElement('p');
   description.className = 'comd-resources-description';
-  description.textContent = record.description || '';
+  description.textContent = record.description;
 
   const link = document.createElement('a');
   link.className = 'comd-resources-link';
-  link.href = (record.link || '').trim() || '#';
+  link.href = record.link || '#';
   link.textContent = resolveResourceCtaLabel(record);
   link.target = '_blank';
   link.rel = 'noopener';
@@ -82,26 +50,16 @@ function createResourceCard(record) {
 }
 
 export default async function decorate(block) {
-  const source = block.querySelector(':scope > div > div')?.textContent?.trim();
-  const relativeSource = toRelativeUrl(source);
+  const source = getSheetSource(block);
 
   block.textContent = '';
-  if (!relativeSource) return;
+  if (!source) return;
 
   try {
-    const response = await fetch(relativeSource, {
-      credentials: 'include',
-      headers: { Accept: 'application/json' },
-    });
-    if (!response.ok) throw new Error(`Failed to fetch ${relativeSource}`);
-
-    const payload = await response.json();
-    const records = Array.isArray(payload?.data) ? payload.data : [];
-    const queryName = new URL(window.location.href).searchParams.get('name');
-    const filtered = resolveCommunityResources(records, queryName)
-      .sort((a, b) => parseDateValue(b.date) - parseDateValue(a.date));
+    const records = filterCommunityRecords(await fetchSheet(source)).map(getCommunityResource);
+    records.sort((a, b) => parseDateValue(b.date) - parseDateValue(a.date));
 
-    if (!filtered.length) {
+    if (!records.length) {
       const empty = document.createElement('p');
       empty.className = 'comd-resources-empty';
       empty.textContent = 'No resources.';
@@ -111,7 +69,7 @@ export default async function decorate(block) {
 
     const grid = document.createElement('div');
     grid.className = 'comd-resources-grid';
-    filtered.forEach((record) => grid.append(createResourceCard(record)));
+    records.forEach((record) => grid.append(createResourceCard(record)));
 
     block.append(grid);
   } catch (e) {
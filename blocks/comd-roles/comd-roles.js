@@ -1,35 +1,10 @@
-function toRelativeUrl(input) {
-  if (!input) return '';
-
-  try {
-    const parsed = new URL(input, window.location.origin);
-    return `${parsed.pathname}${parsed.search}`;
-  } catch (e) {
-    return input;
-  }
-}
-
-function normalizeKey(value) {
-  return (value || '')
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/(^-|-$)/g, '');
-}
-
-function resolveCommunityRoles(records, queryName) {
-  if (!records.length) return [];
-  if (!queryName) return records;
-
-  const normalizedQuery = normalizeKey(queryName);
-  return records.filter((entry) => {
-    const key = normalizeKey(entry.name);
-    return key === normalizedQuery
-      || key.startsWith(normalizedQuery)
-      || normalizedQuery.startsWith(key);
-  });
-}
+import {
+  fetchSheet,
+  filterCommunityRecords,
+  getCommunityRole,
+  getSheetSource,
+  normalizeKey,
+} from '../../scripts/community-data.js';
 
 function roleRank(role) {
   const normalized = normalizeKey(role);
@@ -48,33 +23,25 @@ function createRoleCard(record) {
         <path d="M6.5 18a5.5 5.5 0 0 1 11 0"></path>
       </svg>
     </div>
-    <p class="comd-roles-role">${record.role || ''}</p>
-    <p class="comd-roles-name">${record.emp || ''}</p>
+    <p class="comd-roles-role"></p>
+    <p class="comd-roles-name"></p>
   `;
+  card.querySelector('.comd-roles-role').textContent = record.role;
+  card.querySelector('.comd-roles-name').textContent = record.person;
   return card;
 }
 
 export default async function decorate(block) {
-  const source = block.querySelector(':scope > div > div')?.textContent?.trim();
-  const relativeSource = toRelativeUrl(source);
+  const source = getSheetSource(block);
 
   block.textContent = '';
-  if (!relativeSource) return;
+  if (!source) return;
 
   try {
-    const response = await fetch(relativeSource, {
-      credentials: 'include',
-      headers: { Accept: 'application/json' },
-    });
-    if (!response.ok) throw new Error(`Failed to fetch ${relativeSource}`);
-
-    const payload = await response.json();
-    const records = Array.isArray(payload?.data) ? payload.data : [];
-    const queryName = new URL(window.location.href).searchParams.get('name');
-    const filtered = resolveCommunityRoles(records, queryName)
-      .sort((a, b) => roleRank(a.role) - roleRank(b.role));
+    const records = filterCommunityRecords(await fetchSheet(source)).map(getCommunityRole);
+    records.sort((a, b) => roleRank(a.role) - roleRank(b.role));
 
-    if (!filtered.length) {
+    if (!records.length) {
       const empty = document.createElement('p');
       empty.className = 'comd-roles-empty';
       empty.textContent = 'No people in roles.';
@@ -84,7 +51,7 @@ export default async function decorate(block) {
 
     const grid = document.createElement('div');
     grid.className = 'comd-roles-grid';
-    filtered.forEach((record) => grid.append(createRoleCard(record)));
+    records.forEach((record) => grid.append(createRoleCard(record)));
 
     block.append(grid);
   } catch (e) {
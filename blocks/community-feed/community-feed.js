@@ -0,0 +1,355 @@
+import { readBlockConfig } from '../../scripts/aem.js';
+import { parseDuration } from '../../scripts/calendar.js';
+import {
+  fetchOptionalSheet,
+  filterCommunityRecords,
+  getCommunityEvent,
+  getCommunityRecording,
+  getCommunityResource,
+  getCommunitySlug,
+  normalizeKey,
+} from '../../scripts/community-data.js';
+import { EVENT_STATUS, getEventEnd, getEventStatus } from '../../scripts/event-status.js';
+import { expandRecurringRows } from '../../scripts/recurrence.js';
+import { buildSpeakerLinks } from '../../scripts/speakers.js';
+import { buildTagList, splitTags } from '../../scripts/tags.js';
+import { isDateOnly, parseZonedDate, resolveTimeZone } from '../../scripts/timezones.js';
+
+/** Entries shown per page; more load as the end of the feed scrolls into view. */
+const DEFAULT_PAGE_SIZE = 10;
+
+/** How far ahead recurring series are listed, so they do not crowd out the rest. */
+const FEED_LOOKAHEAD_DAYS = 30;
+
+/** Query parameter listing the communities to show, e.g. `?community=aem-sites`. */
+const COMMUNITY_PARAM = 'community';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const RELATIVE_UNITS = [
+  ['year', 365],
+  ['month', 30],
+  ['week', 7],
+  ['day', 1],
+];
+
+const relativeFormat = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+
+const ABSOLUTE_FORMAT = {
+  weekday: 'short',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+};
+
+const TYPE_LABELS = {
+  event: 'Events',
+  recording: 'Recordings',
+  resource: 'Resources',
+};
+
+/**
+ * Describes a date relative to now, e.g. "in 20 minutes", "yesterday" or "3 weeks ago".
+ * Date-only values are counted in calendar days.
+ * @param {Date} date - Date.
+ * @param {boolean} dateOnly - The value has no time of day.
+ * @param {Date} [now] - Reference time.
+ * @returns {string} Relative date.
+ */
+function formatRelativeDate(date, dateOnly, now = new Date()) {
+  const diff = date - now;
+  if (!dateOnly && Math.abs(diff) < DAY) {
+    return Math.abs(diff) < HOUR
+      ? relativeFormat.format(Math.round(diff / MINUTE), 'minute')
+      : relativeFormat.format(Math.round(diff / HOUR), 'hour');
+  }
+  const [day, today] = [date, now].map((value) => new Date(value).setHours(0, 0, 0, 0));
+  const days = Math.round((day - today) / DAY);
+  const [unit, size] = RELATIVE_UNITS.find(([, n]) => Math.abs(days) >= n) || ['day', 1];
+  return relativeFormat.format(Math.round(days / size), unit);
+}
+
+/**
+ * Reads the communities to show: the "Communities" config row, else `?community=`
+ * parameters, else the community of the page. An empty list means all communities.
+ * @param {Object} config - Block config.
+ * @returns {Array<string>} Community slugs.
+ */
+function getFeedCommunities(config) {
+  const fromConfig = [config.communities].flat().join(',');
+  const fromUrl = new URLSearchParams(window.location.search).getAll(COMMUNITY_PARAM).join(',');
+  const names = (fromConfig || fromUrl).split(',').map(normalizeKey).filter(Boolean);
+  if (names.length) return [...new Set(names)];
+  const slug = getCommunitySlug();
+  return slug ? [slug] : [];
+}
+
+/**
+ * Turns sheet records into feed entries: `{type, date, dateOnly, record}`, sorted newest
+ * first. Records without a date are left out.
+ * @param {Object} sheets - Records by entry type.
+ * @param {string} timeZone - Source zone of events without their own.
+ * @returns {Array<Object>} Entries.
+ */
+function buildFeedEntries({ events, recordings, resources }, timeZone) {
+  const entries = [
+    ...expandRecurringRows(events, {
+      dateField: 'date',
+      timeZone,
+      lookaheadDays: FEED_LOOKAHEAD_DAYS,
+    }).map((row) => {
+      const record = getCommunityEvent(row);
+      const zone = resolveTimeZone(record.timezone) || timeZone;
+      return {
+        type: 'event', record, timeZone: zone, date: parseZonedDate(record.date, zone),
+      };
+    }),
+    ...recordings.map(getCommunityRecording).map((record) => ({
+      type: 'recording', record, date: parseZonedDate(record.date),
+    })),
+    ...resources.map(getCommunityResource).map((record) => ({
+      type: 'resource', record, date: parseZonedDate(record.date),
+    })),
+  ];
+  return entries
+    .filter((entry) => entry.date)
+    .map((entry) => ({ ...entry, dateOnly: isDateOnly(entry.record.date) }))
+    .sort((a, b) => b.date - a.date);
+}
+
+/** Creates a link (opening in a new tab) or, without an http(s) URL, plain text. */
+function createTitle(text, link) {
+  const title = document.createElement('h3');
+  title.className = 'community-feed-title';
+  if (/^https?:/i.test(link)) {
+    const a = document.createElement('a');
+    a.href = link;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    a.textContent = text;
+    title.append(a);
+  } else {
+    title.textContent = text;
+  }
+  return title;
+}
+
+function createMeta(...parts) {
+  if (!parts.some(Boolean)) return null;
+  const meta = document.createElement('p');
+  meta.className = 'community-feed-meta';
+  parts.filter(Boolean).forEach((part, i) => {
+    if (i) meta.append(' · ');
+    meta.append(part);
+  });
+  return meta;
+}
+
+function createDescription(text) {
+  if (!text) return null;
+  const description = document.createElement('p');
+  description.className = 'community-feed-description';
+  description.textContent = text;
+  return description;
+}
+
+function createSpeakers(prefix, speaker) {
+  if (!speaker) return null;
+  const span = document.createElement('span');
+  span.append(`${prefix} `, buildSpeakerLinks(speaker));
+  return span;
+}
+
+/**
+ * Renderers by entry type. Each returns the label of the entry and the nodes of its body.
+ * @type {Object<string, function(Object): {label: string, nodes: Array<Node|null>}>}
+ */
+const RENDERERS = {
+  event({
+    record, date, dateOnly, timeZone,
+  }) {
+    const end = getEventEnd(date, {
+      endTime: record.endTime,
+      durationMinutes: parseDuration(record.duration),
+      dateOnly,
+      timeZone,
+    });
+    const status = getEventStatus(date, end);
+    const labels = {
+      [EVENT_STATUS.LIVE]: 'Live now',
+      [EVENT_STATUS.ENDED]: 'Event',
+    };
+    const upcoming = status !== EVENT_STATUS.ENDED;
+    return {
+      label: labels[status] || 'Upcoming event',
+      nodes: [
+        createTitle(record.title, upcoming ? record.link : ''),
+        createMeta(createSpeakers('With', record.speaker), record.name),
+        createDescription(record.description),
+      ],
+    };
+  },
+  recording({ record }) {
+    return {
+      label: 'Recording',
+      nodes: [
+        createTitle(record.title, record.link),
+        createMeta(createSpeakers('By', record.speaker), record.name),
+        createDescription(record.description),
+        buildTagList(splitTags(record.tag), 'community-feed-tags'),
+      ],
+    };
+  },
+  resource({ record }) {
+    return {
+      label: record.type || 'Resource',
+      nodes: [
+        createTitle(record.title, record.link),
+        createMeta(record.name),
+        createDescription(record.description),
+      ],
+    };
+  },
+};
+
+/** Builds the list item of a feed entry with its type, relative date and body. */
+function createFeedItem(entry, now) {
+  const item = document.createElement('li');
+  item.className = `community-feed-entry is-${entry.type}`;
+  const { label, nodes } = RENDERERS[entry.type](entry);
+
+  const header = document.createElement('p');
+  header.className = 'community-feed-header';
+  const type = document.createElement('span');
+  type.className = 'community-feed-type';
+  type.textContent = label;
+  const time = document.createElement('time');
+  time.className = 'community-feed-date';
+  time.dateTime = entry.date.toISOString();
+  time.title = new Intl.DateTimeFormat('en-GB', {
+    ...ABSOLUTE_FORMAT,
+    ...(entry.dateOnly ? {} : { hour: '2-digit', minute: '2-digit' }),
+  }).format(entry.date);
+  time.textContent = formatRelativeDate(entry.date, entry.dateOnly, now);
+  header.append(type, time);
+
+  item.append(header, ...nodes.filter(Boolean));
+  return item;
+}
+
+/** Entries matching the selected type. */
+function getVisibleEntries(block) {
+  const { feedEntries, feedType } = block;
+  return feedType === 'all' ? feedEntries : feedEntries.filter((e) => e.type === feedType);
+}
+
+/** Appends the next page of entries and shows or hides the "Show more" button. */
+function showMoreEntries(block) {
+  const entries = getVisibleEntries(block);
+  const list = block.querySelector('.community-feed-list');
+  const now = new Date();
+  const next = entries.slice(block.feedShown, block.feedShown + block.feedPageSize);
+  list.append(...next.map((entry) => createFeedItem(entry, now)));
+  block.feedShown += next.length;
+
+  const remaining = entries.length - block.feedShown;
+  const more = block.querySelector('.community-feed-more');
+  more.hidden = remaining <= 0;
+  more.textContent = `Show more (${remaining} remaining)`;
+  block.querySelector('.community-feed-empty').hidden = entries.length > 0;
+}
+
+/** Restarts the feed from the top, e.g. after the type filter changed. */
+function resetFeed(block) {
+  block.querySelector('.community-feed-list').textContent = '';
+  block.feedShown = 0;
+  showMoreEntries(block);
+}
+
+/** Builds the entry type filter, offering only the types the feed has. */
+function buildTypeFilter(block) {
+  const types = Object.keys(TYPE_LABELS)
+    .filter((type) => block.feedEntries.some((entry) => entry.type === type));
+  if (types.length < 2) return null;
+
+  const filter = document.createElement('div');
+  filter.className = 'community-feed-filter';
+  filter.setAttribute('role', 'group');
+  filter.setAttribute('aria-label', 'Show');
+  [['all', 'All'], ...types.map((type) => [type, TYPE_LABELS[type]])].forEach(([type, text]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'community-feed-filter-option';
+    button.dataset.type = type;
+    button.textContent = text;
+    button.setAttribute('aria-pressed', String(type === block.feedType));
+    button.addEventListener('click', () => {
+      if (block.feedType === type) return;
+      block.feedType = type;
+      filter.querySelectorAll('button').forEach((option) => {
+        option.setAttribute('aria-pressed', String(option === button));
+      });
+      resetFeed(block);
+    });
+    filter.append(button);
+  });
+  return filter;
+}
+
+/**
+ * Community activity feed: events, recordings and resources of one or more communities,
+ * newest first. Sheets are linked in "Events", "Recordings" and "Resources" config rows
+ * (any may be left out); the communities come from an optional "Communities" row, the
+ * `community` query parameter or the community page. "Page size" and "Timezone" rows are
+ * optional.
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const pageSize = parseInt(config['page-size'], 10);
+  const timeZone = resolveTimeZone(config.timezone);
+  const communities = getFeedCommunities(config);
+
+  block.textContent = '';
+  block.feedPageSize = pageSize > 0 ? pageSize : DEFAULT_PAGE_SIZE;
+  block.feedType = 'all';
+  block.feedShown = 0;
+
+  const [events, recordings, resources] = await Promise.all(
+    [config.events, config.recordings, config.resources].map(fetchOptionalSheet),
+  );
+  block.feedEntries = buildFeedEntries({
+    events: filterCommunityRecords(events, communities),
+    recordings: filterCommunityRecords(recordings, communities),
+    resources: filterCommunityRecords(resources, communities),
+  }, timeZone);
+
+  const list = document.createElement('ol');
+  list.className = 'community-feed-list';
+  list.setAttribute('aria-label', 'Community activity');
+
+  const empty = document.createElement('p');
+  empty.className = 'community-feed-empty';
+  empty.textContent = 'No community activity yet.';
+
+  const more = document.createElement('button');
+  more.type = 'button';
+  more.className = 'community-feed-more';
+  more.addEventListener('click', () => showMoreEntries(block));
+
+  const filter = buildTypeFilter(block);
+  if (filter) block.append(filter);
+  block.append(list, empty, more);
+  showMoreEntries(block);
+
+  /* Infinite scroll: load the next page as the "Show more" button comes into view */
+  const observer = new IntersectionObserver((entries) => {
+    if (!entries.some((entry) => entry.isIntersecting) || more.hidden) return;
+    showMoreEntries(block);
+    // observe afresh, so a short page that leaves the button in view loads the next one
+    observer.unobserve(more);
+    observer.observe(more);
+  }, { rootMargin: '200px 0px' });
+  observer.observe(more);
+}
@@ -1,10 +1,49 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
+import { createOptimizedPicture, readBlockConfig, toClassName } from '../../scripts/aem.js';
+import { getRowAnchorId } from '../../scripts/anchors.js';
+import { getEventLinkAnchorId } from '../../scripts/events-data.js';
+import { createSearchTracker } from '../../scripts/search-analytics.js';
+import { fetchSearchSource } from '../../scripts/search-cache.js';
+import {
+  buildSearchIndex,
+  DEFAULT_FUZZY_TOLERANCE,
+  extractSnippet,
+  parseTolerance,
+  searchIndex,
+  SNIPPET_WORDS,
+  SUGGESTION_TOLERANCE,
+  suggestQuery,
+} from '../../scripts/search-index.js';
+import {
+  fetchSearchSourceDocs,
+  getSearchSources,
+  registerSearchSource,
+  registerSearchSourcesFromBlock,
+} from '../../scripts/search-sources.js';
+import { splitTags } from '../../scripts/tags.js';
 import createTag from '../../utils/tag.js';
 
 const CURSOR_BLINK = 580; // in milliseconds
 const RECORDINGS_SOURCE = '/forms/recording-form/recordings-data.json';
 const EVENTS_SOURCE = '/forms/events-form/events-data.json';
 const DEFAULT_IMAGE = '/icons/genai-doc.svg';
+const FACETS = [
+  { key: 'docs', label: 'Docs' },
+  { key: 'faq', label: 'FAQ' },
+  { key: 'recordings', label: 'Recordings' },
+  { key: 'events', label: 'Events' },
+  { key: 'labs', label: 'Labs' },
+];
+const FACET_PARAM = 'type';
+// homepage results get shorter snippets than the default
+const HOMEPAGE_SNIPPET_WORDS = 14;
+// search indexes keyed by the docs array they were built from
+const searchIndexCache = new WeakMap();
+// docs requests keyed by index, FAQ page and source URLs
+const docsRequests = new Map();
+// typo tolerance of each block, keyed by its results container
+const tolerances = new WeakMap();
+// used to give each block's results listbox a unique id
+let listboxCount = 0;
 
 /**
  * Debounces a function by given delay.
@@ -48,39 +87,6 @@ function identifySource(a) {
   return pathname || fallback;
 }
 
-/**
- * Fetches and parses a JSON index file from a given URL.
- * @param {string} index - The URL of the index file to fetch.
- * @returns {Array} `data` array from JSON response or empty array if undefined.
- */
-export async function fetchSourceData(index, faq = '') {
-  if (window.docs && window.docs.length > 0) return window.docs;
-  try {
-    const resp = await fetch(index);
-    const json = await resp.json();
-    // return json.data ? json.data : [];
-    window.docs = json.data ? json.data : [];
-    if (faq) {
-      // eslint-disable-next-line no-use-before-define
-      const faqResp = await fetchSourceDataHTML(faq);
-      window.docs.push(...faqResp);
-    }
-    // eslint-disable-next-line no-use-before-define
-    const recordings = await fetchRecordingsData(RECORDINGS_SOURCE);
-    if (recordings.length) {
-      window.docs.push(...recordings);
-    }
-    // eslint-disable-next-line no-use-before-define
-    const events = await fetchEventsData(EVENTS_SOURCE);
-    if (events.length) {
-      window.docs.push(...events);
-    }
-    return window.docs;
-  } catch (error) {
-    return [];
-  }
-}
-
 /**
  * Fetches and parses a HTML file from a given URL.
  * @param {string} index - The URL of the index file to fetch.
@@ -88,13 +94,12 @@ export async function fetchSourceData(index, faq = '') {
  */
 export async function fetchSourceDataHTML(index) {
   try {
-    const resp = await fetch(index);
+    const resp = await fetchSearchSource(index);
     const html = await resp.text();
     // parse the html and return array of sections
     const parser = new DOMParser();
     const doc = parser.parseFromString(html, 'text/html');
     const sections = [...doc.querySelectorAll('h3')].map((h3) => h3.parentElement) || [];
-    window.docs.push(...sections);
     const image = doc.querySelector('meta[property="og:image"]')?.content || '';
     window.faqImage = image;
     return sections;
@@ -103,6 +108,53 @@ export async function fetchSourceDataHTML(index) {
   }
 }
 
+/**
+ * Fetches the docs of an index file, the FAQ page and every registered sheet source.
+ * @param {string} index - The URL of the index file to fetch.
+ * @param {string} faq - The URL of the FAQ page, or ''.
+ * @param {Array<Object>} sources - Registered search sources.
+ * @returns {Promise<Array>} Docs, or an empty array if the index is unavailable.
+ */
+async function loadSourceData(index, faq, sources) {
+  try {
+    const resp = await fetchSearchSource(index, true);
+    const json = await resp.json();
+    const docs = json.data ? json.data : [];
+    if (faq) {
+      const faqResp = await fetchSourceDataHTML(faq);
+      docs.push(...faqResp);
+    }
+    // add every registered sheet (recordings, events and any authored sources)
+    const sourceDocs = await Promise.all(sources.map(fetchSearchSourceDocs));
+    sourceDocs.forEach((entries) => docs.push(...entries));
+    return docs;
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Fetches the docs searched by a block: its index file and FAQ page, plus every registered
+ * sheet source. Blocks with the same index, FAQ page and sources share one request, and
+ * one docs array (so they share the search index too).
+ * @param {string} index - The URL of the index file to fetch.
+ * @param {string} [faq] - The URL of the FAQ page.
+ * @returns {Promise<Array>} Docs, or an empty array if the index is unavailable.
+ */
+export async function fetchSourceData(index, faq = '') {
+  const sources = getSearchSources();
+  const key = [index, faq, ...sources.map(({ url }) => url)].join('|');
+  if (!docsRequests.has(key)) {
+    docsRequests.set(key, loadSourceData(index, faq, sources).then((docs) => {
+      // nothing loaded: try again next time
+      if (!docs.length) docsRequests.delete(key);
+      return docs;
+    }));
+  }
+  window.docs = await docsRequests.get(key);
+  return window.docs;
+}
+
 /**
  * Converts a recordings feed row into a searchable doc entry.
  * @param {Object} row - Recording row from JSON feed.
@@ -114,38 +166,24 @@ function mapRecordingToSearchDoc(row) {
   if (!title) return null;
   const speaker = String(row.speaker || '').trim();
   const date = String(row.date || '').trim();
-  const tag = String(row.tag || '').trim();
+  const tags = splitTags(row.tag);
   const recordingLink = String(row.recordingLink || '').trim();
   const presentationLink = String(row.presentationLink || '').trim();
-  const description = [speaker, tag].filter(Boolean).join(' | ') || 'Recording';
-  // Keep destination on /recordings while making each entry unique for de-dupe.
-  const path = `/recordings`;
+  const description = [speaker, tags.join(', ')].filter(Boolean).join(' | ') || 'Recording';
+  // Deep link to the recording's card; the anchor also keeps each entry unique for de-dupe.
+  const anchor = getRowAnchorId(title, row.date);
+  const path = anchor ? `/recordings#${anchor}` : '/recordings';
   return {
     title,
     description,
     path,
     image: DEFAULT_IMAGE,
-    content: `${title} ${speaker} ${date} ${tag} ${recordingLink} ${presentationLink}`.toLowerCase(),
+    content: `${title} ${speaker} ${date} ${tags.join(' ')} ${recordingLink} ${presentationLink}`.toLowerCase(),
+    tags,
     source: 'recordings',
   };
 }
 
-/**
- * Fetches recordings index and maps it into search docs.
- * @param {string} index - Relative recordings JSON endpoint.
- * @returns {Array} Searchable recordings entries.
- */
-export async function fetchRecordingsData(index) {
-  try {
-    const resp = await fetch(index);
-    const json = await resp.json();
-    const rows = Array.isArray(json?.data) ? json.data : [];
-    return rows.map(mapRecordingToSearchDoc).filter(Boolean);
-  } catch (error) {
-    return [];
-  }
-}
-
 /**
  * Converts an events feed row into a searchable doc entry.
  * @param {Object} row - Event row from JSON feed.
@@ -157,36 +195,36 @@ function mapEventToSearchDoc(row) {
   if (!title) return null;
   const speaker = String(row.speaker || '').trim();
   const dateTime = String(row.dateTime || '').trim();
-  const tag = String(row.tag || '').trim();
+  const tags = splitTags(row.tag);
   const meetingRoom = String(row.meetingRoom || '').trim();
-  const description = [speaker, tag].filter(Boolean).join(' | ') || 'Event';
-  // Keep destination on /events while making each entry unique for de-dupe.
-  const path = `/events`;
+  const description = [speaker, tags.join(', ')].filter(Boolean).join(' | ') || 'Event';
+  // Deep link to the event's card (a series links to its next occurrence); the anchor also
+  // keeps each entry unique for de-dupe.
+  const anchor = getEventLinkAnchorId(row);
+  const path = anchor ? `/events#${anchor}` : '/events';
   return {
     title,
     description,
     path,
     image: DEFAULT_IMAGE,
-    content: `${title} ${speaker} ${dateTime} ${tag} ${meetingRoom}`.toLowerCase(),
+    content: `${title} ${speaker} ${dateTime} ${tags.join(' ')} ${meetingRoom}`.toLowerCase(),
+    tags,
     source: 'events',
   };
 }
 
-/**
- * Fetches events index and maps it into search docs.
- * @param {string} index - Relative events JSON endpoint.
- * @returns {Array} Searchable events entries.
- */
-export async function fetchEventsData(index) {
-  try {
-    const resp = await fetch(index);
-    const json = await resp.json();
-    const rows = Array.isArray(json?.data) ? json.data : [];
-    return rows.map(mapEventToSearchDoc).filter(Boolean);
-  } catch (error) {
-    return [];
-  }
-}
+registerSearchSource({
+  name: 'recordings',
+  label: 'Recordings',
+  url: RECORDINGS_SOURCE,
+  map: mapRecordingToSearchDoc,
+});
+registerSearchSource({
+  name: 'events',
+  label: 'Events',
+  url: EVENTS_SOURCE,
+  map: mapEventToSearchDoc,
+});
 
 /**
  * Builds search icon SVG.
@@ -253,12 +291,25 @@ function toggleClearButton(input, clearButton) {
   }
 }
 
+/**
+ * Returns the facets group of a results container.
+ * @param {HTMLElement} container - Results container.
+ * @returns {HTMLElement|null} Facets group.
+ */
+function getFacetGroup(container) {
+  return document.getElementById(`${container.id}-facets`);
+}
+
 function loadSearch(input, docs, resultsContainer, isHomepage, clearButton) {
   let searchTerm;
+  const searchParams = new URLSearchParams(window.location.search);
   if (/[?&]q=/.test(window.location.search)) {
-    const searchParams = new URLSearchParams(window.location.search);
     searchTerm = searchParams.get('q');
   }
+  const facets = (searchParams.get(FACET_PARAM) || '').split(',').filter(Boolean);
+  getFacetGroup(resultsContainer).querySelectorAll('.doc-search-facet').forEach((chip) => {
+    chip.setAttribute('aria-pressed', facets.includes(chip.dataset.facet));
+  });
 
   if (searchTerm) {
     input.value = searchTerm;
@@ -269,32 +320,151 @@ function loadSearch(input, docs, resultsContainer, isHomepage, clearButton) {
 }
 
 /**
- * Resolves a display category label for a match, only for events,
- * recordings and communities. Returns empty string otherwise.
+ * Resolves a display category label for a match, only for registered sources
+ * (events, recordings, ...) and communities. Returns empty string otherwise.
  * @param {Object} match - Matching document object.
  * @returns {string} Category label to show, or '' to hide.
  */
 function resolveCategory(match) {
-  if (match?.source === 'events') return 'Events';
-  if (match?.source === 'recordings') return 'Recordings';
+  const source = getSearchSources().find(({ name }) => name === match?.source);
+  if (source) return source.label;
   const path = (match?.path || '').toLowerCase();
   if (path === '/communities' || path.startsWith('/communities/')) return 'Communities';
   return '';
 }
 
+/**
+ * Returns the available facets: the built-in ones plus one per registered source.
+ * @returns {Array<Object>} Facets with `key` and `label`.
+ */
+function getFacets() {
+  const extra = getSearchSources()
+    .filter(({ name }) => !FACETS.some(({ key }) => key === name))
+    .map(({ name, label }) => ({ key: name, label }));
+  return [...FACETS, ...extra];
+}
+
+/**
+ * Resolves which facet (result type) a match belongs to.
+ * @param {Object} match - Matching document object.
+ * @returns {string} Facet key, one of `getFacets()`.
+ */
+function resolveFacet(match) {
+  if (match?.source && getFacets().some(({ key }) => key === match.source)) return match.source;
+  const labs = String(match?.labs || '').trim().toLowerCase();
+  if (labs && !['false', 'no', '0'].includes(labs)) return 'labs';
+  return 'docs';
+}
+
+/**
+ * Builds facet chips used to narrow results by type. They sit just before the results
+ * listbox (which may only hold options), and are found from it by id.
+ * @param {HTMLElement} results - Results container.
+ * @returns {HTMLDivElement} Facets group (hidden until there are results).
+ */
+function buildFacets(results) {
+  const group = createTag('div', {
+    id: `${results.id}-facets`,
+    class: 'doc-search-facets',
+    role: 'group',
+    'aria-label': 'Filter results by type',
+    'aria-controls': results.id,
+  });
+  group.hidden = true;
+  getFacets().forEach(({ key, label }) => {
+    const chip = createTag('button', {
+      type: 'button',
+      class: 'doc-search-facet',
+      'data-facet': key,
+      'aria-pressed': false,
+    }, label);
+    chip.append(createTag('span', { class: 'doc-search-facet-count' }, '0'));
+    group.append(chip);
+  });
+  return group;
+}
+
+/**
+ * Returns the keys of the facets currently selected for the results container.
+ * @param {HTMLElement} container - Results container.
+ * @returns {Array<string>} Selected facet keys (empty when showing everything).
+ */
+function getActiveFacets(container) {
+  const facets = getFacetGroup(container);
+  if (!facets) return [];
+  return [...facets.querySelectorAll('.doc-search-facet[aria-pressed="true"]')]
+    .map((chip) => chip.dataset.facet);
+}
+
+/**
+ * Refreshes facet counts for the current matches and shows/hides the chips.
+ * @param {HTMLElement} container - Results container.
+ * @param {Array} matches - All matches, before facet filtering.
+ */
+function updateFacets(container, matches) {
+  const facets = getFacetGroup(container);
+  if (!facets) return;
+  const counts = matches.reduce((acc, match) => {
+    const key = resolveFacet(match);
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+  facets.querySelectorAll('.doc-search-facet').forEach((chip) => {
+    const count = counts[chip.dataset.facet] || 0;
+    chip.querySelector('.doc-search-facet-count').textContent = count;
+    chip.disabled = !count && chip.getAttribute('aria-pressed') !== 'true';
+  });
+  facets.hidden = !matches.length;
+}
+
+/**
+ * Writes the query and selected facets to the URL so a filtered search can be shared.
+ * @param {string} query - Current search query.
+ * @param {Array<string>} facets - Selected facet keys.
+ */
+function updateSearchUrl(query, facets) {
+  if (!window.history.replaceState) return;
+  const url = new URL(window.location.href);
+  if (query.trim()) url.searchParams.set('q', query.trim());
+  else url.searchParams.delete('q');
+  if (facets.length) url.searchParams.set(FACET_PARAM, facets.join(','));
+  else url.searchParams.delete(FACET_PARAM);
+  window.history.replaceState({}, '', url.toString());
+}
+
+/**
+ * Extracts the part of a match's content that best matches the query.
+ * Sheet sources (recordings, events, ...) have no prose content, so they keep their description.
+ * @param {Object} match - Matching document object.
+ * @param {Array} terms - Array of search terms.
+ * @param {boolean} isHomepage - Whether the block is a homepage variant (shorter snippets).
+ * @param {Array} [fuzzy] - Typo tolerance table of the block.
+ * @returns {Object|null} Snippet from `extractSnippet`, or null to show the description.
+ */
+function buildSnippet(match, terms, isHomepage, fuzzy) {
+  if (getSearchSources().some(({ name }) => name === match.source)) return null;
+  const size = isHomepage ? HOMEPAGE_SNIPPET_WORDS : SNIPPET_WORDS;
+  return extractSnippet(match.content, terms, size, fuzzy);
+}
+
 /**
  * Builds a search result element.
  * @param {Object} match - Matching document object.
  * @param {Array} terms - Array of search terms to highlight.
- * @param {HTMLElement} container - Results container.
+ * @param {boolean} isHomepage - Whether the block is a homepage variant.
+ * @param {Array} [fuzzy] - Typo tolerance table of the block.
  */
-function buildResult(match, terms, isHomepage) {
+function buildResult(match, terms, isHomepage, fuzzy) {
   if (!match) return null; // eject if no match
+  const snippet = Array.isArray(terms) ? buildSnippet(match, terms, isHomepage, fuzzy) : null;
   // build URL with highlight param while preserving hash and existing params
   let href = match.path || '';
   try {
     const url = new URL(href, window.location.origin);
-    if (Array.isArray(terms) && terms.length) {
+    if (snippet?.phrase.includes(' ')) {
+      // quote the snippet's phrase so the page lands on the exact spot it was taken from
+      url.searchParams.set('highlight', `"${snippet.phrase}" ${terms.join(' ')}`);
+    } else if (Array.isArray(terms) && terms.length) {
       url.searchParams.set('highlight', terms.join(' '));
     }
     href = `${url.pathname}${url.search}${url.hash}`;
@@ -318,8 +488,16 @@ function buildResult(match, terms, isHomepage) {
   };
 
   const title = createTag('p', {}, truncate(match.title));
-  const desc = createTag('p', {}, truncate(match.description));
-  highlightTerms(terms, [title, desc]);
+  highlightTerms(terms, [title]);
+  const desc = createTag('p');
+  if (snippet) {
+    desc.classList.add('doc-search-snippet');
+    desc.textContent = snippet.text;
+    highlightTerms(snippet.words, [desc]);
+  } else {
+    desc.innerHTML = truncate(match.description);
+    highlightTerms(terms, [desc]);
+  }
   const imageSrc = getSafeImageSrc(match.image);
   const category = resolveCategory(match);
   const categoryTag = category
@@ -330,7 +508,7 @@ function buildResult(match, terms, isHomepage) {
     const image = createOptimizedPicture(imageSrc, '', false, [{ width: '20' }]);
     result.append(image, title, desc);
     if (categoryTag) result.append(categoryTag);
-    const li = createTag('li', { class: 'doc-search-result' });
+    const li = createTag('li', { class: 'doc-search-result', role: 'option' });
     li.append(result);
     return li;
   }
@@ -338,6 +516,7 @@ function buildResult(match, terms, isHomepage) {
   // default result layout
   const image = createOptimizedPicture(imageSrc, '', false, [{ width: '750' }]);
   result.classList.add('article-card');
+  result.setAttribute('role', 'option');
   const cardImage = createTag('div', { class: 'article-card-image' }, image);
   const cardBody = createTag('div', { class: 'article-card-body' });
   const span = createTag('span', { class: 'link-highlight-colorful-effect-2' }, title.innerHTML);
@@ -350,12 +529,26 @@ function buildResult(match, terms, isHomepage) {
 }
 
 /**
- * Displays "no results" message.
+ * Displays "no results" message, with an optional "Did you mean…" suggestion.
  * @param {HTMLElement} container - Results container.
+ * @param {boolean} isHomepage - Whether the block is a homepage variant.
+ * @param {string} [suggestion] - Corrected query to offer.
  */
-function displayNoResults(container, isHomepage) {
+function displayNoResults(container, isHomepage, suggestion = '') {
   const noResults = container.querySelector('.doc-search-no-result');
   noResults.setAttribute('aria-hidden', false);
+  noResults.querySelector('.doc-search-did-you-mean')?.remove();
+  if (suggestion) {
+    const didYouMean = createTag('p', { class: 'doc-search-did-you-mean' });
+    const link = createTag('a', {
+      href: `?q=${encodeURIComponent(suggestion)}`,
+      class: 'doc-search-suggestion',
+      'data-query': suggestion,
+    });
+    link.textContent = suggestion;
+    didYouMean.append('Did you mean ', link, '?');
+    noResults.append(didYouMean);
+  }
   if (!isHomepage) {
     // for regular non-homepage search results
     const aside = container.closest('aside');
@@ -368,18 +561,20 @@ function displayNoResults(container, isHomepage) {
  * @param {Array} matches - Array of matching document objects.
  * @param {Array} terms - Array of search terms to highlight.
  * @param {HTMLElement} container - Results container.
+ * @param {boolean} isHomepage - Whether the block is a homepage variant.
+ * @param {string} [suggestion] - Corrected query to offer when nothing matches.
  */
-export function displayResults(matches, terms, container, isHomepage) {
+export function displayResults(matches, terms, container, isHomepage, suggestion = '') {
   // reset display
   container.setAttribute('aria-hidden', false);
   container.querySelector('.doc-search-no-result').setAttribute('aria-hidden', true);
   if (!matches.length) {
-    displayNoResults(container, isHomepage);
+    displayNoResults(container, isHomepage, suggestion);
     return;
   }
 
   matches.forEach((match) => {
-    const li = buildResult(match, terms, isHomepage);
+    const li = buildResult(match, terms, isHomepage, tolerances.get(container)?.fuzzy);
     if (li) container.append(li);
   });
   container.classList.add('open');
@@ -412,97 +607,57 @@ export function displayResults(matches, terms, container, isHomepage) {
  */
 function hideResults(container) {
   container.setAttribute('aria-hidden', true);
+  const facets = getFacetGroup(container);
+  if (facets) facets.hidden = true;
 }
 
 function getIdFromSectionMetadata(section) {
-  const sectionId = section.parentElement?.querySelector('.section-metadata div div:nth-child(2)').textContent;
+  const sectionId = section.parentElement?.querySelector('.section-metadata div div:nth-child(2)')?.textContent;
   return sectionId;
 }
 
-function createSearchResultObject(doc, terms, source) {
+function createSearchResultObject(doc, source) {
   const id = getIdFromSectionMetadata(doc);
   return {
     title: doc.querySelector('h3')?.textContent || '',
     description: doc.querySelector('p')?.textContent || '',
-    path: `/docs/faq#${id}` || '',
+    path: id ? `/docs/faq#${id}` : '/docs/faq',
     image: window.faqImage || DEFAULT_IMAGE,
-    content: doc.innerHTML,
-    terms,
+    content: doc.textContent,
     source,
   };
 }
 
 /**
- * Searches through documents for match based on query.
+ * Returns the search index for a set of docs, building it on first use.
+ * FAQ sections (DOM elements) are converted into plain doc objects before indexing.
+ * @param {Array} docs - Array of documents from `fetchSourceData`.
+ * @returns {Object} Search index.
+ */
+export function getSearchIndex(docs = []) {
+  const cached = searchIndexCache.get(docs);
+  if (cached && cached.docs.length === docs.length) return cached;
+  const entries = docs.map((doc) => (doc instanceof Element
+    ? createSearchResultObject(doc, 'faq')
+    : doc));
+  const index = buildSearchIndex(entries);
+  searchIndexCache.set(docs, index);
+  return index;
+}
+
+/**
+ * Searches through documents for matches based on query, most relevant first.
  * @param {string} query - Search query entered by user.
  * @param {Array} docs - Array of documents to search.
  * @param {boolean} findMultiple - Whether to return multiple matches.
- * @returns {Object} Object containing search terms and matching document (if found).
- */
-function findDoc(query, docs = [], findMultiple = false) {
-  if (docs.length) {
-    // separate index and faq
-    const indexDocs = [];
-    const faqDocs = [];
-    docs.forEach((doc) => (doc.title ? indexDocs.push(doc) : faqDocs.push(doc)));
-
-    // split the query into terms, trimming and filtering out 1-2 letter and unhelpful words
-    const filterOut = ['and', 'but', 'can', 'eds', 'for', 'how', 'the', 'use', 'what', 'aem'];
-    const terms = query.toLowerCase().split(' ').map((e) => e.trim()).filter((e) => e.length > 2 && !filterOut.includes(e));
-    if (!terms.length) return { terms, match: [] }; // eject if no valid search terms
-
-    // Search through faq and index docs and return both matches
-    const perfectMatches = new Set();
-    const strongMatches = new Set();
-    const fallbackMatches = new Set();
-
-    // find "perfect" matches (every term matches title or faq question)
-    indexDocs.forEach((doc) => {
-      if (terms.every((term) => doc.title.toLowerCase().includes(term))) {
-        perfectMatches.add(doc);
-      }
-    });
-    faqDocs.forEach((doc) => {
-      if ([...doc.querySelectorAll('h3')].some((q) => terms.every((term) => q.textContent.toLowerCase().includes(term)))) {
-        perfectMatches.add(createSearchResultObject(doc, terms, 'faq'));
-      }
-    });
-    // eject if we have 3 results at least to show
-    if (!findMultiple && perfectMatches.size >= 3) return { terms, match: [...perfectMatches] };
-
-    // find strong matches (some terms match title or faq question)
-    indexDocs.forEach((doc) => {
-      if (terms.some((term) => doc.title.toLowerCase().includes(term))) {
-        strongMatches.add(doc);
-      }
-    });
-    faqDocs.forEach((doc) => {
-      if ([...doc.querySelectorAll('h3')].some((q) => terms.some((term) => q.textContent.toLowerCase().includes(term)))) {
-        strongMatches.add(createSearchResultObject(doc, terms, 'faq'));
-      }
-    });
-    // eject if we have 3 results at least to show
-    if (!findMultiple && (perfectMatches.size + strongMatches.size) >= 3) {
-      return { terms, match: [...perfectMatches, ...strongMatches] };
-    }
-
-    // find weaker/fallback matches (some terms match content or faq answer}
-    indexDocs.forEach((doc) => {
-      if (terms.some((term) => `${doc.title} ${doc.content}`.toLowerCase().includes(term))) {
-        fallbackMatches.add(doc);
-      }
-    });
-    faqDocs.forEach((doc) => {
-      if ([...doc.querySelectorAll('p')].some((p) => terms.some((term) => p.textContent.toLowerCase().includes(term)))) {
-        fallbackMatches.add(createSearchResultObject(doc, terms, 'faq'));
-      }
-    });
-
-    // aggregate matches
-    const matches = [...perfectMatches, ...strongMatches, ...fallbackMatches];
-    return { terms, match: findMultiple ? matches : matches.slice(0, 3) };
-  }
-  return { terms: query, match: null };
+ * @param {Array} [fuzzy] - Typo tolerance table.
+ * @returns {Object} Object containing search terms and matching documents (if found).
+ */
+function findDoc(query, docs = [], findMultiple = false, fuzzy = DEFAULT_FUZZY_TOLERANCE) {
+  if (!docs.length) return { terms: query, match: null };
+  const { terms, results } = searchIndex(getSearchIndex(docs), query, { fuzzy });
+  const match = results.map(({ doc }) => doc);
+  return { terms, match: findMultiple ? match : match.slice(0, 3) };
 }
 
 /**
@@ -521,16 +676,25 @@ function searchQuery(search, docs, results, isHomepage) {
       results.querySelectorAll('.article-card').forEach((r) => r.remove());
     }
 
-    // search for matching document
-    const { match, terms } = findDoc(search, docs, !isHomepage);
+    // search for matching documents (all of them, so every facet can be counted)
+    const { fuzzy, suggestions } = tolerances.get(results) || {};
+    const { match, terms } = findDoc(search, docs, true, fuzzy);
     if (match) {
       const uniqueMatches = Array.isArray(match)
         ? [...new Map(match.map((item) => [item.path, item])).values()]
         : match;
+      const suggestion = uniqueMatches.length
+        ? ''
+        : suggestQuery(getSearchIndex(docs), search, suggestions);
+      updateFacets(results, uniqueMatches);
+      const facets = getActiveFacets(results);
+      const filtered = facets.length
+        ? uniqueMatches.filter((item) => facets.includes(resolveFacet(item)))
+        : uniqueMatches;
       if (isHomepage) {
-        displayResults(uniqueMatches.slice(0, 3), terms, results, isHomepage);
+        displayResults(filtered.slice(0, 3), terms, results, isHomepage, suggestion);
       } else {
-        displayResults(uniqueMatches, terms, results, isHomepage);
+        displayResults(filtered, terms, results, isHomepage, suggestion);
       }
     } else {
       displayNoResults(results, isHomepage);
@@ -722,19 +886,95 @@ function rotatePlaceholder(currIndex, input, results, placeholders, isHomepage)
 }
 
 /**
- * Finds last visible link within results container.
+ * Returns the result options currently shown in the results listbox, (re)numbering their ids.
  * @param {HTMLElement} results - Results container.
- * @returns {HTMLAnchorElement|null} Last visible link if exists, otherwise null.
+ * @returns {Array<HTMLElement>} Visible options, most relevant first.
+ */
+function getResultOptions(results) {
+  if (results.getAttribute('aria-hidden') === 'true') return [];
+  const options = [...results.querySelectorAll('[role="option"]')];
+  options.forEach((option, i) => {
+    option.id = `${results.id}-option-${i}`;
+  });
+  return options;
+}
+
+/**
+ * Marks a result option as active and points the combobox at it.
+ * @param {HTMLInputElement} input - Search input (combobox).
+ * @param {HTMLElement} results - Results container (listbox).
+ * @param {number} index - Index of option to activate, or -1 to clear.
+ */
+function setActiveOption(input, results, index) {
+  const options = getResultOptions(results);
+  options.forEach((option, i) => {
+    option.classList.toggle('is-active', i === index);
+    option.setAttribute('aria-selected', i === index);
+  });
+  const active = options[index];
+  if (active) {
+    input.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Moves the active result option up or down, wrapping around at either end.
+ * @param {HTMLInputElement} input - Search input (combobox).
+ * @param {HTMLElement} results - Results container (listbox).
+ * @param {number} step - `1` to move down, `-1` to move up.
+ */
+function moveActiveOption(input, results, step) {
+  const options = getResultOptions(results);
+  if (!options.length) return;
+  const current = options.findIndex((option) => option.classList.contains('is-active'));
+  // with nothing active, ArrowUp starts from the last option
+  const next = current < 0 && step < 0 ? options.length - 1 : current + step;
+  setActiveOption(input, results, (next + options.length) % options.length);
+}
+
+/**
+ * Syncs combobox state with the rendered results and announces the result count.
+ * @param {HTMLInputElement} input - Search input (combobox).
+ * @param {HTMLElement} results - Results container (listbox).
+ * @param {HTMLElement} status - Live region for announcements.
+ */
+function updateCombobox(input, results, status) {
+  const options = getResultOptions(results);
+  input.setAttribute('aria-expanded', options.length > 0);
+  setActiveOption(input, results, -1);
+  if (!input.value.trim()) {
+    status.textContent = '';
+  } else if (options.length) {
+    const count = `${options.length} result${options.length === 1 ? '' : 's'}`;
+    status.textContent = `${count} available. Use up and down arrow keys to navigate.`;
+  } else {
+    status.textContent = 'No results found.';
+  }
+}
+
+/**
+ * Finds the link to follow for the active result, or the most relevant one.
+ * @param {HTMLElement} results - Results container.
+ * @returns {HTMLAnchorElement|null} Result link if a result is visible, otherwise null.
  */
 function findResultLink(results) {
-  const links = results.querySelectorAll('a[href]');
-  const result = links[links.length - 1];
-  // only return link if visible to user
-  return result.offsetParent ? result : null;
+  const options = getResultOptions(results);
+  const option = options.find((o) => o.classList.contains('is-active')) || options[0];
+  if (!option) return null;
+  return option.matches('a[href]') ? option : option.querySelector('a[href]');
 }
 
 export default async function decorate(block) {
-  // extract config
+  // extract config (source rows first, so their links are not mistaken for the index)
+  registerSearchSourcesFromBlock(block);
+  // optional "Typo tolerance" row, e.g. "4: 1, 8: 2" or "off"; it also bounds suggestions
+  const typoTolerance = readBlockConfig(block)['typo-tolerance'];
+  [...block.children]
+    .find((div) => toClassName(div.firstElementChild?.textContent || '') === 'typo-tolerance')
+    ?.remove();
   const index = identifySource(block.querySelector('a[href]'));
   const faq = identifySource(block.querySelectorAll('a[href]')[1]) || '';
   // window.docs = [];
@@ -748,11 +988,18 @@ export default async function decorate(block) {
 
   // build search bar
   const form = createTag('form');
-  const search = createTag('input', { type: 'search', 'aria-label': 'Search the documentation' });
+  const search = createTag('input', {
+    type: 'search',
+    role: 'combobox',
+    'aria-label': 'Search the documentation',
+    'aria-autocomplete': 'list',
+    'aria-expanded': false,
+  });
   const clear = createTag('button', { type: 'reset' }, '✕');
   const icon = buildSearchIcon();
+  const status = createTag('div', { class: 'doc-search-status', role: 'status', 'aria-live': 'polite' });
   form.append(icon, search, clear);
-  row.append(form);
+  row.append(form, status);
 
   // build results container
   let results;
@@ -763,30 +1010,55 @@ export default async function decorate(block) {
     const { resultsContainerClass } = block.dataset;
     results = document.querySelector(`.${resultsContainerClass}`);
   }
+  if (!results.id) {
+    listboxCount += 1;
+    results.id = `doc-search-results-${listboxCount}`;
+  }
+  results.setAttribute('role', 'listbox');
+  results.setAttribute('aria-label', 'Search results');
+  search.setAttribute('aria-controls', results.id);
+  tolerances.set(results, {
+    fuzzy: parseTolerance(typoTolerance),
+    suggestions: parseTolerance(typoTolerance, SUGGESTION_TOLERANCE),
+  });
   const noResults = createTag(
     'li',
     { class: 'doc-search-no-result', 'aria-hidden': true },
     'No matching events or recordings found. Try a different search.',
   );
+  const facets = buildFacets(results);
+  results.before(facets);
   results.append(noResults);
+  const tracker = createSearchTracker('.doc-search');
+  const trackResultClick = (el) => {
+    const option = el.closest('[role="option"]');
+    if (option) tracker.click(getResultOptions(results).indexOf(option) + 1);
+  };
   // add functionality to search bar
   form.addEventListener('submit', (e) => {
     e.preventDefault();
-    // on form submit, send user to most relevant result
+    // on form submit, send user to active (or most relevant) result
     const link = findResultLink(results);
     if (link) {
+      trackResultClick(link);
       link.focus();
       setTimeout(() => {
         window.location.href = link.href;
       }, 65);
     }
   });
-  clear.addEventListener('click', () => {
+  const clearSearch = () => {
     search.value = '';
     toggleClearButton(search, clear);
     search.focus();
     fadeOut(results);
-  });
+    search.setAttribute('aria-expanded', false);
+    search.removeAttribute('aria-activedescendant');
+    status.textContent = '';
+    tracker.query('', 0);
+    if (!isHomepage) updateSearchUrl('', getActiveFacets(results));
+  };
+  clear.addEventListener('click', clearSearch);
   search.addEventListener('focus', () => {
     search.dataset.rotate = false;
     forceStop(search);
@@ -809,11 +1081,14 @@ export default async function decorate(block) {
   search.addEventListener('input', () => {
     toggleClearButton(search, clear);
   });
-  search.addEventListener('keyup', (e) => {
+  search.addEventListener('keydown', (e) => {
     const { key } = e;
-    if (key === 'ArrowDown') {
-      const link = findResultLink(results);
-      if (link) link.focus();
+    if (key === 'ArrowDown' || key === 'ArrowUp') {
+      e.preventDefault(); // keep caret in place
+      moveActiveOption(search, results, key === 'ArrowDown' ? 1 : -1);
+    } else if (key === 'Escape') {
+      e.preventDefault();
+      clearSearch();
     }
   });
 
@@ -837,11 +1112,39 @@ export default async function decorate(block) {
         }
       }
       fetchSourceData(index, faq).then((docs) => {
-        // enable search only after docs are available
-        search.addEventListener('input', debounce(() => {
+        const runSearch = () => {
           searchQuery(search.value, docs, results, isHomepage);
-        }, 200));
-        if (!isHomepage) loadSearch(search, docs, results, isHomepage, clear);
+          if (!isHomepage) updateSearchUrl(search.value, getActiveFacets(results));
+          updateCombobox(search, results, status);
+          tracker.query(search.value, getResultOptions(results).length);
+        };
+        // enable search only after docs are available
+        search.addEventListener('input', debounce(runSearch, 200));
+        facets.addEventListener('click', (e) => {
+          // toggle facet chips
+          const chip = e.target.closest('.doc-search-facet');
+          if (!chip) return;
+          chip.setAttribute('aria-pressed', chip.getAttribute('aria-pressed') !== 'true');
+          runSearch();
+        });
+        results.addEventListener('click', (e) => {
+          // run "Did you mean…" suggestions in place
+          const suggestion = e.target.closest('.doc-search-suggestion');
+          if (!suggestion) {
+            trackResultClick(e.target);
+            return;
+          }
+          e.preventDefault();
+          search.value = suggestion.dataset.query;
+          toggleClearButton(search, clear);
+          runSearch();
+          search.focus();
+        });
+        if (!isHomepage) {
+          loadSearch(search, docs, results, isHomepage, clear);
+          updateCombobox(search, results, status);
+          tracker.query(search.value, getResultOptions(results).length);
+        }
       });
     }
   });
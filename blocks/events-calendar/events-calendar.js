@@ -0,0 +1,529 @@
+import { readBlockConfig } from '../../scripts/aem.js';
+import { getAnchorFromHash, revealAnchoredCard } from '../../scripts/anchors.js';
+import { buildAddToCalendar } from '../../scripts/calendar.js';
+import {
+  fetchEventsData, getCalendarEvent, getEventAnchorId, getEventRows, isUpcomingRow,
+} from '../../scripts/events-data.js';
+import { buildSpeakerLinks } from '../../scripts/speakers.js';
+import { buildTagList, matchesTags, splitTags } from '../../scripts/tags.js';
+import {
+  buildZonedTime, getZonedParts, resolveTimeZone, VIEWER_TIME_ZONE,
+} from '../../scripts/timezones.js';
+
+const VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'agenda', label: 'Agenda' },
+];
+
+/** Below this width the grid views don't fit, so the agenda is shown instead. */
+const isNarrow = window.matchMedia('(max-width: 599px)');
+
+/** Days around today that recurring series are expanded into. */
+const CALENDAR_WINDOW_DAYS = 365;
+
+/** Events listed in a month cell before "+N more". */
+const MAX_CELL_EVENTS = 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Time format of events in day lists; dates come from the surrounding day. */
+const EVENT_TIME_FORMAT = { hour: '2-digit', minute: '2-digit' };
+
+/**
+ * Id of an event in the calendar: its card anchor, prefixed so the events block can use
+ * the anchor itself on the same page.
+ */
+function getCalendarItemId(anchorId) {
+  return `events-calendar-${anchorId}`;
+}
+
+/* Days are handled as UTC midnights, so calendar math is free of DST changes */
+
+function toDayKey(day) {
+  return new Date(day).toISOString().slice(0, 10);
+}
+
+function fromDayKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/** Day of a date as seen in a zone (the viewer's by default). */
+function toDay(date, timeZone = VIEWER_TIME_ZONE) {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day);
+}
+
+/** Day an event is listed on: date-only events keep the date of their source zone. */
+function getEventDay(row) {
+  return toDay(row.parsedDate, row.dateOnly ? row.timeZone || VIEWER_TIME_ZONE : VIEWER_TIME_ZONE);
+}
+
+function formatDay(day, options) {
+  return new Intl.DateTimeFormat(undefined, { ...options, timeZone: 'UTC' }).format(new Date(day));
+}
+
+/** Monday on or before a day. */
+function getWeekStart(day) {
+  return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY;
+}
+
+function getMonthStart(day) {
+  const date = new Date(day);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+/** Moves a day by whole months, keeping the day of the month where the month allows it. */
+function addMonths(day, months) {
+  const date = new Date(day);
+  const target = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1);
+  const length = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months + 1, 0))
+    .getUTCDate();
+  return target + (Math.min(date.getUTCDate(), length) - 1) * DAY;
+}
+
+/**
+ * First and last day shown by a view around a day: the week for the week view, and the
+ * month for the month (padded to whole weeks) and agenda views.
+ * @returns {Array<number>} First and last day.
+ */
+function getRange(view, day) {
+  if (view === 'week') return [getWeekStart(day), getWeekStart(day) + 6 * DAY];
+  const first = getMonthStart(day);
+  const last = addMonths(first, 1) - DAY;
+  if (view === 'agenda') return [first, last];
+  return [getWeekStart(first), getWeekStart(last) + 6 * DAY];
+}
+
+/** View in effect: the agenda on narrow screens, whatever was chosen otherwise. */
+function getView(block) {
+  return isNarrow.matches ? 'agenda' : block.calendarView;
+}
+
+/** Events matching the selected tags, grouped by day (in start order). */
+function groupEventsByDay(block) {
+  const days = new Map();
+  block.calendarRows
+    .filter((row) => matchesTags(splitTags(row.tag), block.calendarTags))
+    .forEach((row) => {
+      const day = getEventDay(row);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(row);
+    });
+  return days;
+}
+
+/**
+ * Builds an event in a day list: time, title, speakers, room, tags and, for upcoming
+ * events, the join link and "Add to calendar".
+ * @param {Object} row - Parsed event row.
+ * @returns {HTMLLIElement} Event item.
+ */
+function buildEventItem(row) {
+  const li = document.createElement('li');
+  const upcoming = isUpcomingRow(row);
+  li.className = `events-calendar-event ${upcoming ? 'is-upcoming' : 'is-past'}`;
+  const anchorId = getEventAnchorId(row);
+  if (anchorId) li.id = getCalendarItemId(anchorId);
+
+  const when = document.createElement('p');
+  when.className = 'events-calendar-event-when';
+  if (row.dateOnly) {
+    when.textContent = 'All day';
+  } else {
+    when.append(buildZonedTime(row.parsedDate, {
+      className: 'events-calendar-event-time',
+      format: EVENT_TIME_FORMAT,
+      timeZone: row.timeZone,
+    }));
+  }
+
+  const title = document.createElement('h4');
+  title.className = 'events-calendar-event-title';
+  title.textContent = (row.title || '').trim();
+  li.append(when, title);
+
+  const speaker = (row.speaker || '').trim();
+  if (speaker) {
+    const speakerEl = document.createElement('p');
+    speakerEl.className = 'events-calendar-event-speaker';
+    speakerEl.append('By ', buildSpeakerLinks(speaker));
+    li.append(speakerEl);
+  }
+  const room = (row.meetingRoom || '').trim();
+  if (room && room !== '0') {
+    const roomEl = document.createElement('p');
+    roomEl.className = 'events-calendar-event-room';
+    roomEl.textContent = room;
+    li.append(roomEl);
+  }
+  const tags = buildTagList(splitTags(row.tag), 'events-calendar-event-tags');
+  if (tags) li.append(tags);
+
+  const calendarEvent = upcoming && getCalendarEvent(row);
+  if (calendarEvent) {
+    const actions = document.createElement('div');
+    actions.className = 'events-calendar-event-actions';
+    if (calendarEvent.url) {
+      const join = document.createElement('a');
+      join.href = calendarEvent.url;
+      join.className = 'events-calendar-event-join';
+      join.textContent = 'Join Meeting';
+      join.target = '_blank';
+      join.rel = 'noopener';
+      actions.append(join);
+    }
+    actions.append(buildAddToCalendar(calendarEvent, 'events-calendar-event-calendar'));
+    li.append(actions);
+  }
+  return li;
+}
+
+function buildEventList(rows) {
+  const list = document.createElement('ul');
+  list.className = 'events-calendar-events';
+  rows.forEach((row) => list.append(buildEventItem(row)));
+  return list;
+}
+
+/** Events of the selected day, below the month and week grids. */
+function buildDayDetails(day, rows) {
+  const details = document.createElement('section');
+  details.className = 'events-calendar-details';
+  const heading = document.createElement('h3');
+  heading.textContent = formatDay(day, {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric',
+  });
+  details.append(heading);
+  if (rows.length) {
+    details.append(buildEventList(rows));
+  } else {
+    const empty = document.createElement('p');
+    empty.className = 'events-calendar-empty';
+    empty.textContent = 'No events on this day.';
+    details.append(empty);
+  }
+  return details;
+}
+
+/**
+ * Builds the month or week grid. Days are buttons with a roving tabindex: only the
+ * selected day is in the tab order, and the arrow keys move between days.
+ */
+function buildGrid(block, view, eventsByDay) {
+  const [first, last] = getRange(view, block.calendarDay);
+  const month = new Date(block.calendarDay).getUTCMonth();
+  const today = toDay(new Date());
+
+  const grid = document.createElement('div');
+  grid.className = `events-calendar-grid is-${view}`;
+  grid.setAttribute('role', 'grid');
+  grid.setAttribute('aria-labelledby', block.querySelector('.events-calendar-title').id);
+
+  const header = document.createElement('div');
+  header.className = 'events-calendar-row events-calendar-weekdays';
+  header.setAttribute('role', 'row');
+  for (let i = 0; i < 7; i += 1) {
+    const weekday = first + i * DAY;
+    const cell = document.createElement('div');
+    cell.setAttribute('role', 'columnheader');
+    cell.className = 'events-calendar-weekday';
+    cell.textContent = formatDay(weekday, { weekday: 'short' });
+    cell.title = formatDay(weekday, { weekday: 'long' });
+    header.append(cell);
+  }
+  grid.append(header);
+
+  let row;
+  for (let day = first; day <= last; day += DAY) {
+    if ((day - first) % (7 * DAY) === 0) {
+      row = document.createElement('div');
+      row.className = 'events-calendar-row';
+      row.setAttribute('role', 'row');
+      grid.append(row);
+    }
+    const events = eventsByDay.get(day) || [];
+    const selected = day === block.calendarDay;
+    const cell = document.createElement('div');
+    cell.className = 'events-calendar-cell';
+    cell.setAttribute('role', 'gridcell');
+    cell.setAttribute('aria-selected', String(selected));
+    cell.classList.toggle('is-outside', view === 'month' && new Date(day).getUTCMonth() !== month);
+    cell.classList.toggle('is-today', day === today);
+    cell.classList.toggle('has-events', events.length > 0);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'events-calendar-day';
+    button.dataset.day = toDayKey(day);
+    button.tabIndex = selected ? 0 : -1;
+    const label = formatDay(day, { weekday: 'long', day: 'numeric', month: 'long' });
+    const count = events.length === 1 ? '1 event' : `${events.length || 'No'} events`;
+    button.setAttribute('aria-label', `${label}, ${count}`);
+    if (day === today) button.setAttribute('aria-current', 'date');
+    button.textContent = view === 'week'
+      ? formatDay(day, { weekday: 'short', day: 'numeric' })
+      : formatDay(day, { day: 'numeric' });
+    cell.append(button);
+
+    if (events.length) {
+      const list = document.createElement('ul');
+      list.className = 'events-calendar-cell-events';
+      list.setAttribute('aria-hidden', 'true');
+      const shown = view === 'month' ? events.slice(0, MAX_CELL_EVENTS) : events;
+      shown.forEach((event) => {
+        const li = document.createElement('li');
+        li.className = isUpcomingRow(event) ? 'is-upcoming' : 'is-past';
+        li.textContent = (event.title || '').trim();
+        li.title = li.textContent;
+        list.append(li);
+      });
+      if (events.length > shown.length) {
+        const more = document.createElement('li');
+        more.className = 'events-calendar-more';
+        more.textContent = `+${events.length - shown.length} more`;
+        list.append(more);
+      }
+      cell.append(list);
+    }
+    row.append(cell);
+  }
+  return grid;
+}
+
+/** Days with events in the month of the selected day, each with its events. */
+function buildAgenda(block, eventsByDay) {
+  const [first, last] = getRange('agenda', block.calendarDay);
+  const agenda = document.createElement('div');
+  agenda.className = 'events-calendar-agenda';
+  const days = [...eventsByDay.keys()].filter((day) => day >= first && day <= last)
+    .sort((a, b) => a - b);
+  if (!days.length) {
+    const empty = document.createElement('p');
+    empty.className = 'events-calendar-empty';
+    empty.textContent = `No events in ${formatDay(first, { month: 'long', year: 'numeric' })}.`;
+    agenda.append(empty);
+    return agenda;
+  }
+  const today = toDay(new Date());
+  days.forEach((day) => {
+    const section = document.createElement('section');
+    section.className = 'events-calendar-agenda-day';
+    section.classList.toggle('is-today', day === today);
+    section.dataset.day = toDayKey(day);
+    const heading = document.createElement('h3');
+    heading.textContent = formatDay(day, { weekday: 'long', day: 'numeric', month: 'long' });
+    section.append(heading, buildEventList(eventsByDay.get(day)));
+    agenda.append(section);
+  });
+  return agenda;
+}
+
+/** Title of the shown period, e.g. "October 2026" or "12 – 18 Oct 2026". */
+function getPeriodTitle(view, day) {
+  if (view !== 'week') return formatDay(day, { month: 'long', year: 'numeric' });
+  const [first, last] = getRange(view, day);
+  return new Intl.DateTimeFormat(undefined, {
+    day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC',
+  }).formatRange(new Date(first), new Date(last));
+}
+
+/**
+ * Renders the current view. When focus was on a day, the newly selected day gets it,
+ * so keyboard users can keep moving across weeks and months.
+ */
+function renderCalendar(block) {
+  const view = getView(block);
+  const body = block.querySelector('.events-calendar-body');
+  const hadFocus = body.contains(document.activeElement)
+    && document.activeElement.matches('.events-calendar-day');
+
+  block.querySelector('.events-calendar-title').textContent = getPeriodTitle(view, block.calendarDay);
+  block.querySelectorAll('.events-calendar-view').forEach((button) => {
+    button.setAttribute('aria-pressed', String(button.dataset.view === view));
+  });
+  block.dataset.view = view;
+
+  const eventsByDay = groupEventsByDay(block);
+  body.textContent = '';
+  if (view === 'agenda') {
+    body.append(buildAgenda(block, eventsByDay));
+    return;
+  }
+  body.append(
+    buildGrid(block, view, eventsByDay),
+    buildDayDetails(block.calendarDay, eventsByDay.get(block.calendarDay) || []),
+  );
+  if (hadFocus) body.querySelector(`[data-day="${toDayKey(block.calendarDay)}"]`)?.focus();
+}
+
+function selectDay(block, day) {
+  block.calendarDay = day;
+  renderCalendar(block);
+}
+
+/** Moves the selection by one period (month or week) of the current view. */
+function movePeriod(block, step) {
+  const day = getView(block) === 'week'
+    ? block.calendarDay + step * 7 * DAY
+    : addMonths(block.calendarDay, step);
+  selectDay(block, day);
+}
+
+/** Arrow keys move by a day or a week, Home/End to the week's ends, Page Up/Down by month. */
+function handleGridKeydown(block, e) {
+  if (!e.target.matches('.events-calendar-day')) return;
+  const day = block.calendarDay;
+  const moves = {
+    ArrowLeft: () => day - DAY,
+    ArrowRight: () => day + DAY,
+    ArrowUp: () => day - 7 * DAY,
+    ArrowDown: () => day + 7 * DAY,
+    Home: () => getWeekStart(day),
+    End: () => getWeekStart(day) + 6 * DAY,
+    PageUp: () => addMonths(day, -1),
+    PageDown: () => addMonths(day, 1),
+  };
+  if (!moves[e.key]) return;
+  e.preventDefault();
+  selectDay(block, moves[e.key]());
+}
+
+function buildToolbar(block) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'events-calendar-toolbar';
+
+  const nav = document.createElement('div');
+  nav.className = 'events-calendar-nav';
+  const prev = document.createElement('button');
+  prev.type = 'button';
+  prev.className = 'events-calendar-prev';
+  prev.setAttribute('aria-label', 'Previous');
+  prev.addEventListener('click', () => movePeriod(block, -1));
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'events-calendar-next';
+  next.setAttribute('aria-label', 'Next');
+  next.addEventListener('click', () => movePeriod(block, 1));
+  const today = document.createElement('button');
+  today.type = 'button';
+  today.className = 'events-calendar-today';
+  today.textContent = 'Today';
+  today.addEventListener('click', () => selectDay(block, toDay(new Date())));
+  nav.append(prev, next, today);
+
+  const title = document.createElement('h2');
+  title.className = 'events-calendar-title';
+  title.id = `events-calendar-title-${document.querySelectorAll('.events-calendar-title').length}`;
+  title.setAttribute('aria-live', 'polite');
+
+  const views = document.createElement('div');
+  views.className = 'events-calendar-views';
+  views.setAttribute('role', 'group');
+  views.setAttribute('aria-label', 'View');
+  VIEWS.forEach(({ value, label }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'events-calendar-view';
+    button.dataset.view = value;
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      block.calendarView = value;
+      renderCalendar(block);
+    });
+    views.append(button);
+  });
+
+  toolbar.append(nav, title, views);
+  return toolbar;
+}
+
+/** Tag checkboxes; an event shows when it has any of the checked tags. */
+function buildTagFilter(block) {
+  const tags = [...new Map(block.calendarRows
+    .flatMap((row) => splitTags(row.tag))
+    .map((tag) => [tag.toLowerCase(), tag])).values()]
+    .sort((a, b) => a.localeCompare(b));
+  if (!tags.length) return null;
+
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'events-calendar-tags';
+  const legend = document.createElement('legend');
+  legend.textContent = 'Filter by tag';
+  fieldset.append(legend);
+  tags.forEach((tag) => {
+    const label = document.createElement('label');
+    label.className = 'events-calendar-tag-option';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'events-calendar-tag-filter';
+    input.value = tag;
+    input.addEventListener('change', () => {
+      if (input.checked) block.calendarTags.add(tag);
+      else block.calendarTags.delete(tag);
+      renderCalendar(block);
+    });
+    label.append(input, ` ${tag}`);
+    fieldset.append(label);
+  });
+  return fieldset;
+}
+
+/** Selects the day of the event linked from the location hash and highlights it. */
+function revealEventFromHash(block) {
+  const anchor = getAnchorFromHash();
+  const row = anchor && block.calendarRows.find((r) => getEventAnchorId(r) === anchor);
+  if (!row) return;
+  selectDay(block, getEventDay(row));
+  revealAnchoredCard(block.querySelector(`#${CSS.escape(getCalendarItemId(anchor))}`));
+}
+
+/**
+ * Events calendar: the events sheet as a month grid, week or agenda, with tag filtering.
+ * Optional config rows: "View" (month, week or agenda) sets the initial view, "Timezone"
+ * the zone the sheet's times are written in (as in the events block). Narrow screens
+ * always get the agenda.
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const timeZone = resolveTimeZone(config.timezone);
+  const initialView = String(config.view || '').trim().toLowerCase();
+  const data = await fetchEventsData();
+
+  block.textContent = '';
+  block.calendarRows = getEventRows(data, {
+    timeZone,
+    lookbackDays: CALENDAR_WINDOW_DAYS,
+    lookaheadDays: CALENDAR_WINDOW_DAYS,
+  })
+    .filter((row) => row.parsedDate)
+    .sort((a, b) => a.parsedDate - b.parsedDate);
+  if (!block.calendarRows.length) {
+    const empty = document.createElement('p');
+    empty.className = 'events-calendar-empty';
+    empty.textContent = 'No events available at this time.';
+    block.append(empty);
+    return;
+  }
+
+  block.calendarView = VIEWS.some(({ value }) => value === initialView) ? initialView : 'month';
+  block.calendarDay = toDay(new Date());
+  block.calendarTags = new Set();
+
+  const body = document.createElement('div');
+  body.className = 'events-calendar-body';
+  body.addEventListener('keydown', (e) => handleGridKeydown(block, e));
+  body.addEventListener('click', (e) => {
+    const button = e.target.closest('.events-calendar-day');
+    if (button) selectDay(block, fromDayKey(button.dataset.day));
+  });
+
+  const tagFilter = buildTagFilter(block);
+  block.append(buildToolbar(block), ...(tagFilter ? [tagFilter] : []), body);
+  renderCalendar(block);
+  isNarrow.addEventListener('change', () => renderCalendar(block));
+
+  revealEventFromHash(block);
+  window.addEventListener('hashchange', () => revealEventFromHash(block));
+}
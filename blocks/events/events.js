@@ -1,111 +1,48 @@
-import { decorateIcons } from '../../scripts/aem.js';
+import { decorateIcons, readBlockConfig } from '../../scripts/aem.js';
 import { fetchPlaceholders } from '../../scripts/placeholders.js';
-
-const EVENTS_SHEET_PATH = '/forms/events-form/events.json?sheet=events';
-const EVENTS_SHEET_ORIGIN = 'https://main--tech-council--aemsites.aem.page';
-
-function getEventsSheetUrl() {
-  const { origin } = window.location;
-  if (origin === EVENTS_SHEET_ORIGIN) {
-    return `${origin}${EVENTS_SHEET_PATH}`;
-  }
-  return EVENTS_SHEET_PATH;
-}
-
-async function fetchEventsData() {
-  const url = getEventsSheetUrl();
-  try {
-    const resp = await fetch(url, {
-      credentials: 'include',
-      headers: { Accept: 'application/json' },
-    });
-    if (!resp.ok) {
-      if (resp.status === 403) {
-        console.warn(
-          '[Events] 403 Forbidden — the sheet URL is not allowed for this request.',
-          url,
-        );
-      } else {
-        console.warn('[Events] Sheet fetch failed:', resp.status, resp.statusText, url);
-      }
-      return [];
-    }
-    const json = await resp.json();
-    const data = Array.isArray(json.data) ? json.data : [];
-    if (data.length === 0 && (!json.data || !Array.isArray(json.data))) {
-      console.warn('[Events] No data array in response:', url, Object.keys(json));
-    }
-    return data;
-  } catch (e) {
-    console.warn('[Events] Sheet fetch error:', e?.message || e, url);
-    return [];
-  }
-}
-
-/** A field is considered empty when it's null/undefined, blank, or the number/string 0. */
-function isEmptyField(value) {
-  if (value == null) return true;
-  if (typeof value === 'number') return value === 0;
-  const str = String(value).trim();
-  return str === '' || str === '0';
-}
-
-/** Trims a field to a string, treating 0/"0"/blank as empty ('') . */
-function normalizeField(value) {
-  return isEmptyField(value) ? '' : String(value).trim();
-}
-
-function parseEventDate(value) {
-  if (isEmptyField(value)) return null;
-  const date = new Date(value);
-  return Number.isNaN(date.getTime()) ? null : date;
-}
-
-function isSafeUrl(url) {
-  if (!url || typeof url !== 'string') return false;
-  const t = url.trim();
-  if (t === '') return false;
-  try {
-    const u = new URL(t, window.location.origin);
-    return u.protocol === 'http:' || u.protocol === 'https:';
-  } catch {
-    return false;
-  }
-}
-
-function formatEventDate(date) {
-  if (!date) return '';
-  return new Intl.DateTimeFormat(undefined, {
-    weekday: 'short',
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-  }).format(date);
-}
-
-function formatEventTime(date) {
-  if (!date) return '';
-  return new Intl.DateTimeFormat(undefined, {
-    hour: '2-digit',
-    minute: '2-digit',
-  }).format(date);
-}
-
-function filterAndSortEvents(data) {
+import { getAnchorFromHash, revealAnchoredCard } from '../../scripts/anchors.js';
+import { buildAddToCalendar, downloadIcs } from '../../scripts/calendar.js';
+import { EVENT_STATUS, getCountdownText, watchEventStatus } from '../../scripts/event-status.js';
+import {
+  fetchEventsData, getCalendarEvent, getEventAnchorId, getEventRows, isUpcomingRow,
+} from '../../scripts/events-data.js';
+import { describeRecurrence } from '../../scripts/recurrence.js';
+import { isSafeUrl, normalizeField } from '../../scripts/sheet-fields.js';
+import { buildSpeakerLinks } from '../../scripts/speakers.js';
+import { buildTagList, splitTags } from '../../scripts/tags.js';
+import { buildZonedTime, resolveTimeZone } from '../../scripts/timezones.js';
+
+/** Date and time format of the cards. */
+const EVENT_DATE_FORMAT = {
+  weekday: 'short',
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+};
+
+/**
+ * Picks the events to show: upcoming first, then most recent past, then undated.
+ * An event linked from the location hash is always kept, even beyond `maxEvents`.
+ * @param {Array<Object>} data - Sheet rows; recurring series are expanded into occurrences.
+ * @param {Object} [options]
+ * @param {string} [options.anchor] - Anchor id from the location hash.
+ * @param {string} [options.timeZone] - Zone from the block config.
+ * @param {number} [options.windowDays] - Days ahead to expand series into.
+ */
+function filterAndSortEvents(data, { anchor = '', timeZone = '', windowDays = 0 } = {}) {
   const now = new Date();
   const maxEvents = 10;
 
-  const parsed = data.map((row) => ({
-    ...row,
-    parsedDate: parseEventDate(row.dateTime),
-  }));
+  const parsed = getEventRows(data, { timeZone, lookaheadDays: windowDays || undefined });
 
   const upcoming = parsed
-    .filter((e) => e.parsedDate && e.parsedDate >= now)
+    .filter((e) => isUpcomingRow(e, now))
     .sort((a, b) => a.parsedDate - b.parsedDate);
 
   const past = parsed
-    .filter((e) => e.parsedDate && e.parsedDate < now)
+    .filter((e) => e.parsedDate && !isUpcomingRow(e, now))
     .sort((a, b) => b.parsedDate - a.parsedDate);
 
   const noDates = parsed.filter((e) => !e.parsedDate);
@@ -117,19 +54,38 @@ function filterAndSortEvents(data) {
   if (result.length < maxEvents) {
     result.push(...noDates.slice(0, maxEvents - result.length));
   }
+  if (anchor && !result.some((e) => getEventAnchorId(e) === anchor)) {
+    const linked = parsed.find((e) => getEventAnchorId(e) === anchor);
+    if (linked) result.push(linked);
+  }
   return result;
 }
 
-function buildEventCard(row) {
+/** Badge text of each live state. */
+const STATUS_LABELS = {
+  [EVENT_STATUS.UPCOMING]: 'Upcoming',
+  [EVENT_STATUS.SOON]: 'Starting soon',
+  [EVENT_STATUS.LIVE]: 'Live now',
+  [EVENT_STATUS.ENDED]: 'Past',
+};
+
+/**
+ * Builds an event card. Its state (upcoming, starting soon, live, past), countdown and
+ * Join button update every second until the event ends.
+ * @param {Object} row - Parsed event row.
+ * @param {Function} [onEnded] - Called when an event shown as upcoming ends.
+ * @returns {HTMLLIElement} Card.
+ */
+function buildEventCard(row, onEnded = () => {}) {
   const li = document.createElement('li');
   li.className = 'events-card';
+  const anchorId = getEventAnchorId(row);
+  if (anchorId) li.id = anchorId;
 
-  const isUpcoming = row.parsedDate && row.parsedDate >= new Date();
-  li.classList.add(isUpcoming ? 'is-upcoming' : 'is-past');
+  const isUpcoming = isUpcomingRow(row);
 
   const badge = document.createElement('span');
   badge.className = 'events-card-badge';
-  badge.textContent = isUpcoming ? 'Upcoming' : 'Past';
   badge.setAttribute('aria-hidden', 'true');
   li.prepend(badge);
 
@@ -146,23 +102,39 @@ function buildEventCard(row) {
   if (speakerName) {
     const speaker = document.createElement('p');
     speaker.className = 'events-card-speaker';
-    speaker.textContent = `By ${speakerName}`;
+    speaker.append('By ', buildSpeakerLinks(speakerName));
     body.append(speaker);
   }
 
-  const dateStr = formatEventDate(row.parsedDate);
-  const timeStr = formatEventTime(row.parsedDate);
-  if (dateStr) {
+  if (row.parsedDate) {
     const dateEl = document.createElement('p');
     dateEl.className = 'events-card-date';
     const calIcon = document.createElement('span');
     calIcon.className = 'icon icon-calendar';
     calIcon.setAttribute('aria-hidden', 'true');
     dateEl.append(calIcon);
-    dateEl.append(document.createTextNode(timeStr ? `${dateStr}, ${timeStr}` : dateStr));
+    dateEl.append(buildZonedTime(row.parsedDate, {
+      className: 'events-card-time',
+      format: EVENT_DATE_FORMAT,
+      timeZone: row.timeZone,
+      dateOnly: row.dateOnly,
+    }));
     body.append(dateEl);
   }
 
+  const countdown = document.createElement('p');
+  countdown.className = 'events-card-countdown';
+  countdown.hidden = true;
+  body.append(countdown);
+
+  const recurrence = describeRecurrence(row.recurrenceRule);
+  if (recurrence) {
+    const recurrenceEl = document.createElement('p');
+    recurrenceEl.className = 'events-card-recurrence';
+    recurrenceEl.textContent = recurrence;
+    body.append(recurrenceEl);
+  }
+
   const room = normalizeField(row.meetingRoom);
   if (room) {
     const locationEl = document.createElement('p');
@@ -176,17 +148,13 @@ function buildEventCard(row) {
     body.append(locationEl);
   }
 
-  const tagRaw = normalizeField(row.tag);
-  if (tagRaw) {
-    const tagEl = document.createElement('p');
-    tagEl.className = 'events-card-tag';
-    tagEl.textContent = tagRaw;
-    body.append(tagEl);
-  }
+  const tagList = buildTagList(splitTags(row.tag), 'events-card-tags');
+  if (tagList) body.append(tagList);
 
   const meetingLink = normalizeField(row.meetingLink);
+  let joinBtn = null;
   if (isUpcoming && meetingLink && isSafeUrl(meetingLink)) {
-    const joinBtn = document.createElement('a');
+    joinBtn = document.createElement('a');
     joinBtn.href = meetingLink;
     joinBtn.className = 'events-card-join';
     joinBtn.textContent = 'Join Meeting';
@@ -195,8 +163,33 @@ function buildEventCard(row) {
     body.append(joinBtn);
   }
 
+  const calendarEvent = isUpcoming && getCalendarEvent(row);
+  const addToCalendar = calendarEvent && buildAddToCalendar(calendarEvent, 'events-card-calendar');
+  if (addToCalendar) body.append(addToCalendar);
+
   li.append(body);
   decorateIcons(li);
+
+  watchEventStatus(li, row.parsedDate, row.endDate, (status, now) => {
+    const ended = status === EVENT_STATUS.ENDED;
+    const live = status === EVENT_STATUS.LIVE;
+    li.classList.toggle('is-upcoming', !ended);
+    li.classList.toggle('is-soon', status === EVENT_STATUS.SOON);
+    li.classList.toggle('is-live', live);
+    li.classList.toggle('is-past', ended);
+    badge.textContent = live && row.dateOnly ? 'Today' : STATUS_LABELS[status];
+    countdown.textContent = row.dateOnly
+      ? ''
+      : getCountdownText(status, row.parsedDate, row.endDate, now);
+    countdown.hidden = !countdown.textContent;
+    if (joinBtn) {
+      joinBtn.hidden = ended;
+      joinBtn.classList.toggle('is-live', live);
+      joinBtn.textContent = live ? 'Join now' : 'Join Meeting';
+    }
+    if (addToCalendar) addToCalendar.hidden = ended;
+    if (ended && isUpcoming) onEnded();
+  });
   return li;
 }
 
@@ -241,11 +234,6 @@ function bindCarouselEvents(block) {
     });
   }
 
-  block.addEventListener('keydown', (e) => {
-    if (e.key === 'ArrowLeft') { e.preventDefault(); prevBtn?.click(); }
-    else if (e.key === 'ArrowRight') { e.preventDefault(); nextBtn?.click(); }
-  });
-
   const container = block.querySelector('.events-carousel-container');
   if (container) {
     let scrollTimeout;
@@ -271,24 +259,45 @@ function bindCarouselEvents(block) {
   }
 }
 
-export default async function decorate(block) {
-  const [placeholders, data] = await Promise.all([
-    fetchPlaceholders(),
-    fetchEventsData(),
-  ]);
-
-  if (data.length === 0) {
-    block.textContent = '';
-    const empty = document.createElement('p');
-    empty.className = 'events-empty';
-    empty.textContent = 'No events available at this time.';
-    block.append(empty);
-    return;
-  }
+/** Arrow keys page the carousel; bound once, as the slides are re-rendered when events end. */
+function bindCarouselKeys(block) {
+  block.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      block.querySelector('.events-nav-prev')?.click();
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      block.querySelector('.events-nav-next')?.click();
+    }
+  });
+}
 
-  const events = filterAndSortEvents(data);
+/** Slide the carousel to the card matching the location hash, then highlight and expand it. */
+function revealEventFromHash(block) {
+  const anchor = getAnchorFromHash();
+  if (!anchor) return;
+  const card = block.querySelector(`.events-card#${CSS.escape(anchor)}`);
+  if (!card) return;
+  const slide = card.closest('.events-carousel-slide');
+  if (slide) updateCarousel(block, parseInt(slide.dataset.slideIndex, 10));
+  revealAnchoredCard(card);
+}
 
-  const cards = events.map((row) => buildEventCard(row));
+/**
+ * Renders the carousel (and the .ics download). When a card's event ends, the carousel is
+ * rendered again so the event moves from the upcoming events to the past ones.
+ * @param {HTMLElement} block - Events block.
+ * @param {Array<Object>} data - Sheet rows.
+ * @param {Object} options - Placeholders, block timezone and recurrence window.
+ */
+function renderEvents(block, data, options) {
+  const { placeholders, timeZone, windowDays } = options;
+  const events = filterAndSortEvents(data, { anchor: getAnchorFromHash(), timeZone, windowDays });
+  const onEnded = () => {
+    clearTimeout(block.eventsRenderTimeout);
+    block.eventsRenderTimeout = setTimeout(() => renderEvents(block, data, options));
+  };
+  const cards = events.map((row) => buildEventCard(row, onEnded));
 
   const cardsPerSlide = 3;
   const slides = [];
@@ -324,13 +333,59 @@ export default async function decorate(block) {
 
   carouselWrapper.appendChild(slidesContainer);
 
+  /* Whole feed as one .ics file, for importing every dated event (and occurrence) at once */
+  const feed = getEventRows(data, { timeZone, lookaheadDays: windowDays || undefined })
+    .map((row) => getCalendarEvent(row))
+    .filter(Boolean);
+  if (feed.length) {
+    const downloadAll = document.createElement('button');
+    downloadAll.type = 'button';
+    downloadAll.className = 'events-download-all';
+    downloadAll.textContent = 'Download all events (.ics)';
+    downloadAll.addEventListener('click', () => downloadIcs(feed, 'events', 'Events'));
+    carouselWrapper.appendChild(downloadAll);
+  }
+
+  const currentSlide = parseInt(block.dataset.currentSlide || '0', 10);
   block.textContent = '';
   block.appendChild(carouselWrapper);
   block.dataset.currentSlide = '0';
   block.classList.add('at-start');
+  block.classList.remove('at-end');
 
   if (slides.length > 1) {
     bindCarouselEvents(block);
-    updateCarousel(block, 0);
+    updateCarousel(block, Math.min(currentSlide, slides.length - 1));
+  }
+}
+
+/**
+ * Events carousel. An optional "Timezone" config row (e.g. "Asia/Kolkata" or "IST") sets
+ * the zone the sheet's times are written in; a `timezone` column overrides it per row.
+ * Rows with a `recurrence` rule are shown as their occurrences, up to the number of days
+ * ahead in an optional "Recurrence window" config row. Events last until their `endTime`,
+ * or for their `duration`; cards count down to the start and show when events are live.
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const timeZone = resolveTimeZone(config.timezone);
+  const windowDays = parseInt(config['recurrence-window'], 10) || 0;
+  const [placeholders, data] = await Promise.all([
+    fetchPlaceholders(),
+    fetchEventsData(),
+  ]);
+
+  if (data.length === 0) {
+    block.textContent = '';
+    const empty = document.createElement('p');
+    empty.className = 'events-empty';
+    empty.textContent = 'No events available at this time.';
+    block.append(empty);
+    return;
   }
+
+  renderEvents(block, data, { placeholders, timeZone, windowDays });
+  bindCarouselKeys(block);
+  revealEventFromHash(block);
+  window.addEventListener('hashchange', () => revealEventFromHash(block));
 }
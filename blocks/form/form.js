@@ -461,18 +461,20 @@ export async function fetchForm(pathname) {
   return data;
 }
 
-function addRequestContextToForm(formDef) {
+function addRequestContextToForm(formDef, extraParams = '') {
   if (formDef && typeof formDef === 'object') {
     formDef.properties = formDef.properties || {};
 
-    // Add URL parameters
+    // Add URL parameters, then those given by the embedding block (e.g. a join modal)
     try {
       const urlParams = new URLSearchParams(window?.location?.search || '');
       if (!formDef.properties.queryParams) {
         formDef.properties.queryParams = {};
       }
-      urlParams?.forEach((value, key) => {
-        formDef.properties.queryParams[key?.toLowerCase()] = value;
+      [urlParams, new URLSearchParams(extraParams)].forEach((params) => {
+        params.forEach((value, key) => {
+          formDef.properties.queryParams[key?.toLowerCase()] = value;
+        });
       });
     } catch (e) {
       console.warn('Error reading URL parameters:', e);
@@ -494,6 +496,19 @@ function addRequestContextToForm(formDef) {
   }
 }
 
+/**
+ * Fills fields of a document-based form from query parameters given by the embedding
+ * block, matching fields by name.
+ * @param {HTMLFormElement} form
+ * @param {string} [params] - Query string, e.g. "community=aem-sites".
+ */
+function prefillFields(form, params = '') {
+  new URLSearchParams(params).forEach((value, key) => {
+    const field = form?.elements?.namedItem(key);
+    if (field && 'value' in field) field.value = value;
+  });
+}
+
 export default async function decorate(block) {
   let container = block.querySelector('a[href]');
   let formDef;
@@ -527,12 +542,13 @@ export default async function decorate(block) {
       source = 'sheet';
       const response = await createForm(formDef, null, source);
       form = response?.form;
+      prefillFields(form, block.dataset.queryParams);
       const docRuleEngine = await import('./rules-doc/index.js');
       docRuleEngine.default(formDef, form);
       rules = false;
     } else {
       afModule = await import('./rules/index.js');
-      addRequestContextToForm(formDef);
+      addRequestContextToForm(formDef, block.dataset.queryParams);
       if (afModule && afModule.initAdaptiveForm && !block.classList.contains('edit-mode')) {
         form = await afModule.initAdaptiveForm(formDef, createForm);
       } else {
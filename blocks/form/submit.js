@@ -2,6 +2,8 @@ import { DEFAULT_THANK_YOU_MESSAGE, getSubmitBaseUrl } from './constant.js';
 
 export function submitSuccess(e, form) {
   const { payload } = e;
+  // lets the page react to the submission (e.g. a join request), even before a redirect
+  form.dispatchEvent(new CustomEvent('form:submitted', { bubbles: true }));
   const redirectUrl = form.dataset.redirectUrl || payload?.body?.redirectUrl;
   const thankYouMsg = form.dataset.thankYouMsg || payload?.body?.thankYouMessage;
   if (redirectUrl) {
@@ -10,6 +10,7 @@
  * window.lottie.getRegisteredAnimations() to confirm load.
  */
 import { readBlockConfig } from '../../scripts/aem.js';
+import { getCommunitySlug } from '../../scripts/community-data.js';
 
 const LOTTIE_WEB_SCRIPT = 'https://unpkg.com/lottie-web@5.12.2/build/player/lottie_light.min.js';
 const DEBUG = false;
@@ -376,16 +377,7 @@ function initLottieWhenVisible(container) {
 
 function getCommunityNameFromUrl() {
   if (typeof window === 'undefined' || !window.location?.pathname) return null;
-  const path = window.location.pathname;
-  if (!path.includes('communities/details')) return null;
-  const name = new URL(window.location.href).searchParams.get('name');
-  if (!name || !name.trim()) return null;
-  const slug = String(name)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9-]+/g, '-')
-    .replace(/(^-|-$)/g, '');
-  return slug || null;
+  return getCommunitySlug() || null;
 }
 
 function getDefaultJsonUrl() {
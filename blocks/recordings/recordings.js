@@ -1,15 +1,10 @@
-/** A field is considered empty when it's null/undefined, blank, or the number/string 0. */
-function isEmptyField(value) {
-  if (value == null) return true;
-  if (typeof value === 'number') return value === 0;
-  const str = String(value).trim();
-  return str === '' || str === '0';
-}
-
-/** Trims a field to a string, treating 0/"0"/blank as empty (''). */
-function normalizeField(value) {
-  return isEmptyField(value) ? '' : String(value).trim();
-}
+import { readBlockConfig } from '../../scripts/aem.js';
+import { getAnchorFromHash, getRowAnchorId, revealAnchoredCard } from '../../scripts/anchors.js';
+import { isEmptyField, isSafeUrl, normalizeField } from '../../scripts/sheet-fields.js';
+import { buildSpeakerLinks } from '../../scripts/speakers.js';
+import {
+  matchesTags, splitTags, TAG_MATCH_ALL, TAG_MATCH_ANY,
+} from '../../scripts/tags.js';
 
 /**
  * Converts Excel serial date to a readable date string.
@@ -25,23 +20,6 @@ function formatSheetDate(value) {
   return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
 }
 
-/**
- * Returns true only for http/https (or relative) URLs; rejects javascript:, data:, etc.
- * @param {string} url
- * @returns {boolean}
- */
-function isSafeUrl(url) {
-  if (!url || typeof url !== 'string') return false;
-  const t = url.trim();
-  if (t === '') return false;
-  try {
-    const u = new URL(t, window.location.origin);
-    return u.protocol === 'http:' || u.protocol === 'https:';
-  } catch {
-    return false;
-  }
-}
-
 /**
  * Debounces a function so it runs only after `ms` ms of no further calls.
  * @param {(...args: unknown[]) => void} fn
@@ -77,11 +55,11 @@ function getRecordingsSheetUrl() {
 }
 
 /**
- * Fetches the recordings sheet and returns the "data" array.
+ * Fetches the recordings sheet (or a playlist sheet) and returns the "data" array.
+ * @param {string} [url] - Sheet URL; defaults to the recordings sheet.
  * @returns {Promise<Array>} Array of { title, speaker, recordingLink, presentationLink, date, tag }
  */
-async function fetchRecordingsData() {
-  const url = getRecordingsSheetUrl();
+async function fetchRecordingsData(url = getRecordingsSheetUrl()) {
   try {
     const resp = await fetch(url, {
       credentials: 'include',
@@ -196,33 +174,96 @@ const DATE_RANGES = [
   { value: '1y', label: 'Last year', msAgo: 365 * 24 * 60 * 60 * 1000 },
 ];
 
-/** Normalized tag for filtering: empty string becomes "Other" for display. */
+/** Cards shown per page (before "Load more"); authors can override it with a "Page size" row. */
+const DEFAULT_PAGE_SIZE = 12;
+
+/** Cap for the staggered entrance animation index, so large pages don't trickle in for seconds. */
+const MAX_STAGGER_INDEX = 12;
+
+/** Sort options for the sidebar select; "Playlist order" is only offered for playlists. */
+const PLAYLIST_SORT = { value: 'playlist', label: 'Playlist order' };
+const SORT_OPTIONS = [
+  { value: 'date-desc', label: 'Date (newest first)' },
+  { value: 'date-asc', label: 'Date (oldest first)' },
+  { value: 'title-asc', label: 'Title A–Z' },
+  { value: 'title-desc', label: 'Title Z–A' },
+];
+
+/** Query string parameters holding the sidebar filter state, so filtered views can be shared. */
+const FILTER_PARAMS = {
+  query: 'recordings-q',
+  sortBy: 'sort',
+  dateRange: 'period',
+  tags: 'tag',
+  tagMode: 'match',
+  saved: 'saved',
+};
+
+/** localStorage key of the recordings bookmarked with "Watch later". */
+const SAVED_STORAGE_KEY = 'recordings-saved';
+
+/** Stable key of a recording, used to remember bookmarks (same as its card anchor). */
+function getRecordingKey(row) {
+  return getRowAnchorId(normalizeField(row.title), row.date);
+}
+
+/** Reads bookmarked recording keys; storage may be unavailable (e.g. privacy mode). */
+function readSavedRecordings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_STORAGE_KEY) || '[]');
+    return new Set(Array.isArray(saved) ? saved : []);
+  } catch {
+    return new Set();
+  }
+}
+
+function writeSavedRecordings(saved) {
+  try {
+    localStorage.setItem(SAVED_STORAGE_KEY, JSON.stringify([...saved]));
+  } catch {
+    /* bookmarks then only last for this page view */
+  }
+}
+
+/** Sort used when none is in the URL: playlists keep the author's order. */
+function getDefaultSort(block) {
+  return block.recordingsPlaylist ? PLAYLIST_SORT.value : 'date-desc';
+}
+
+/** Normalized tag for filtering: rows without tags get "Other" for display. */
 const TAG_OTHER = 'Other';
 
-function getRowTag(row) {
-  const t = normalizeField(row.tag);
-  return t === '' ? TAG_OTHER : t;
+/** Tags of a row; the tag column may hold several, separated by "," or ";". */
+function getRowTags(row) {
+  const tags = splitTags(row.tag);
+  return tags.length ? tags : [TAG_OTHER];
 }
 
-/** Collect unique tags from data (including "Other" if any row has no tag). */
+/** Collect unique tags from data (ignoring case, including "Other" if any row has no tag). */
 function getUniqueTags(data) {
-  const set = new Set();
-  data.forEach((row) => set.add(getRowTag(row)));
-  const list = [...set];
+  const byKey = new Map();
+  data.forEach((row) => getRowTags(row).forEach((tag) => {
+    if (!byKey.has(tag.toLowerCase())) byKey.set(tag.toLowerCase(), tag);
+  }));
+  const list = [...byKey.values()];
   list.sort((a, b) => (a === TAG_OTHER ? 1 : b === TAG_OTHER ? -1 : a.localeCompare(b)));
   return list;
 }
 
-/** Sort and filter data based on sidebar state. */
-function getFilteredAndSortedData(block) {
+/** Rows matching every sidebar filter except the tags (the base for tag facet counts). */
+function getRowsBeforeTagFilter(block) {
   const data = block.recordingsData || [];
   const query = (block.recordingsSearchQuery || '').trim().toLowerCase();
-  const sortBy = block.recordingsSortBy || 'date-desc';
   const dateRange = block.recordingsDateRange || 'all';
-  const selectedTags = block.recordingsSelectedTags || new Set();
 
   let list = [...data];
 
+  /* Saved ("Watch later") filter */
+  if (block.recordingsSavedOnly) {
+    const saved = readSavedRecordings();
+    list = list.filter((row) => saved.has(getRecordingKey(row)));
+  }
+
   /* Text search (title / speaker) */
   if (query) {
     list = list.filter((row) => {
@@ -244,9 +285,20 @@ function getFilteredAndSortedData(block) {
     }
   }
 
-  /* Tag filter: if any tag selected, keep only rows whose tag is in selected set */
+  return list;
+}
+
+/** Sort and filter data based on sidebar state. */
+function getFilteredAndSortedData(block) {
+  const sortBy = block.recordingsSortBy || getDefaultSort(block);
+  const selectedTags = block.recordingsSelectedTags || new Set();
+  const tagMode = block.recordingsTagMode || TAG_MATCH_ANY;
+
+  let list = getRowsBeforeTagFilter(block);
+
+  /* Tag filter: keep rows having any (OR) or all (AND) of the selected tags */
   if (selectedTags.size > 0) {
-    list = list.filter((row) => selectedTags.has(getRowTag(row)));
+    list = list.filter((row) => matchesTags(getRowTags(row), selectedTags, tagMode));
   }
 
   /* Sort: by date (items with date first, then no-date at end) or by title */
@@ -273,10 +325,42 @@ function getFilteredAndSortedData(block) {
   return list;
 }
 
+/** Reflects the bookmark state of a recording on its toggle button. */
+function setBookmarkState(button, isSaved) {
+  button.setAttribute('aria-pressed', String(isSaved));
+  button.setAttribute('aria-label', isSaved ? 'Remove from saved' : 'Save to watch later');
+  button.title = isSaved ? 'Saved' : 'Watch later';
+}
+
+/** Bookmark ("Watch later") toggle for a card, persisted to localStorage. */
+function createRecordingsBookmark(key) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'recordings-bookmark';
+  button.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+      <path d="M6 3h12a1 1 0 0 1 1 1v17l-7-4.5L5 21V4a1 1 0 0 1 1-1z"/>
+    </svg>`;
+  setBookmarkState(button, readSavedRecordings().has(key));
+  button.addEventListener('click', () => {
+    const saved = readSavedRecordings();
+    if (saved.has(key)) saved.delete(key);
+    else saved.add(key);
+    writeSavedRecordings(saved);
+    setBookmarkState(button, saved.has(key));
+    button.dispatchEvent(new CustomEvent('recordings:saved', { bubbles: true }));
+  });
+  return button;
+}
+
 /** Build one list item DOM for a row. */
-function buildRecordingsCard(row, rowIdx) {
+function buildRecordingsCard(row) {
   const li = document.createElement('li');
-  li.style.setProperty('--i', String(rowIdx));
+  const anchorId = getRecordingKey(row);
+  if (anchorId) {
+    li.id = anchorId;
+    li.append(createRecordingsBookmark(anchorId));
+  }
 
   const recordingLink = normalizeField(row.recordingLink);
   const presentationLink = normalizeField(row.presentationLink);
@@ -289,7 +373,7 @@ function buildRecordingsCard(row, rowIdx) {
   const title = normalizeField(row.title);
   const speaker = normalizeField(row.speaker);
   const dateStr = formatSheetDate(row.date);
-  const tagRaw = normalizeField(row.tag);
+  const tags = splitTags(row.tag);
 
   const titleEl = document.createElement('h3');
   titleEl.className = 'recordings-title';
@@ -299,8 +383,8 @@ function buildRecordingsCard(row, rowIdx) {
 
   const speakerEl = document.createElement('p');
   speakerEl.className = 'recordings-speaker';
-  speakerEl.textContent = speaker ? `By ${speaker}` : '';
-  if (!speaker) speakerEl.classList.add('is-empty');
+  if (speaker) speakerEl.append('By ', buildSpeakerLinks(speaker));
+  else speakerEl.classList.add('is-empty');
   body.append(speakerEl);
 
   const dateEl = document.createElement('p');
@@ -309,10 +393,10 @@ function buildRecordingsCard(row, rowIdx) {
   if (!dateStr) dateEl.classList.add('is-empty');
   body.append(dateEl);
 
-  if (tagRaw !== '') {
+  if (tags.length) {
     const tagEl = document.createElement('p');
     tagEl.className = 'recordings-tag';
-    tagEl.textContent = tagRaw;
+    tagEl.textContent = tags.join(' · ');
     body.append(tagEl);
   }
 
@@ -320,24 +404,142 @@ function buildRecordingsCard(row, rowIdx) {
   return li;
 }
 
-/** Re-render only the list (ul) from current filter/sort. */
-function updateRecordingsList(block) {
+/** Returns the card for a row, building it on first use so cards survive filter changes. */
+function getRecordingsCard(block, row) {
+  if (!block.recordingsCards) block.recordingsCards = new WeakMap();
+  let card = block.recordingsCards.get(row);
+  if (!card) {
+    card = buildRecordingsCard(row);
+    block.recordingsCards.set(row, card);
+  }
+  return card;
+}
+
+/**
+ * Renders the visible page of the filtered rows. Cards already in place are left
+ * untouched; only new or moved cards are inserted (and animate in).
+ */
+function renderRecordingsPage(block) {
   const listContainer = block.querySelector('.recordings-list');
   const emptyEl = block.querySelector('.recordings-empty');
+  const countEl = block.querySelector('.recordings-count');
+  const loadMore = block.querySelector('.recordings-load-more');
   if (!listContainer) return;
 
-  const rows = getFilteredAndSortedData(block);
-  listContainer.innerHTML = '';
+  const rows = block.recordingsFilteredRows || [];
+  const visible = rows.slice(0, block.recordingsVisibleCount);
+  listContainer.classList.toggle('is-empty', rows.length === 0);
+  if (emptyEl) {
+    emptyEl.hidden = rows.length > 0;
+    emptyEl.textContent = block.recordingsSavedOnly
+      ? 'No saved recordings match your filters. Use the bookmark on a recording to watch it later.'
+      : 'No recordings match your filters.';
+  }
+  if (countEl) {
+    countEl.hidden = rows.length === 0;
+    countEl.textContent = `Showing ${visible.length} of ${rows.length} recording${rows.length === 1 ? '' : 's'}`;
+  }
+  if (loadMore) {
+    const remaining = rows.length - visible.length;
+    loadMore.hidden = remaining <= 0;
+    loadMore.textContent = `Load more (${remaining} remaining)`;
+  }
+
+  let inserted = 0;
+  visible.forEach((row, idx) => {
+    const card = getRecordingsCard(block, row);
+    if (listContainer.children[idx] === card) return;
+    card.style.setProperty('--i', String(Math.min(inserted, MAX_STAGGER_INDEX)));
+    inserted += 1;
+    listContainer.insertBefore(card, listContainer.children[idx] || null);
+  });
+  while (listContainer.children.length > visible.length) listContainer.lastElementChild.remove();
+}
+
+/**
+ * Updates the per-tag counts in the sidebar for the other active filters. With "any",
+ * a count is how many recordings the tag has; with "all", how many of the current
+ * results have it (i.e. what remains when it is added).
+ */
+function updateTagCounts(block) {
+  const options = block.querySelectorAll('.recordings-tag-filter');
+  if (!options.length) return;
+  const selectedTags = block.recordingsSelectedTags || new Set();
+  let rows = getRowsBeforeTagFilter(block);
+  if (block.recordingsTagMode === TAG_MATCH_ALL) {
+    rows = rows.filter((row) => matchesTags(getRowTags(row), selectedTags, TAG_MATCH_ALL));
+  }
+  const counts = new Map();
+  rows.forEach((row) => getRowTags(row).forEach((tag) => {
+    const key = tag.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }));
+  options.forEach((input) => {
+    const count = counts.get(input.value.toLowerCase()) || 0;
+    input.disabled = count === 0 && !input.checked;
+    input.closest('.recordings-filter-option').querySelector('.recordings-tag-count')
+      .textContent = `(${count})`;
+  });
+}
+
+/** Re-render only the list (ul) from current filter/sort, starting again from the first page. */
+function updateRecordingsList(block) {
+  block.recordingsFilteredRows = getFilteredAndSortedData(block);
+  block.recordingsVisibleCount = block.recordingsPageSize || DEFAULT_PAGE_SIZE;
+  renderRecordingsPage(block);
+  updateTagCounts(block);
+}
+
+/**
+ * Reads sidebar filter state from the query string, falling back to defaults for
+ * missing or unknown values.
+ * @param {HTMLElement} block
+ * @returns {{query: string, sortBy: string, dateRange: string, selectedTags: Set<string>,
+ *   tagMode: string, savedOnly: boolean}}
+ */
+function readFiltersFromUrl(block) {
+  const params = new URLSearchParams(window.location.search);
+  const sortBy = params.get(FILTER_PARAMS.sortBy);
+  const dateRange = params.get(FILTER_PARAMS.dateRange);
+  const isKnownSort = SORT_OPTIONS.some((opt) => opt.value === sortBy)
+    || (block.recordingsPlaylist && sortBy === PLAYLIST_SORT.value);
+  return {
+    query: params.get(FILTER_PARAMS.query) || '',
+    sortBy: isKnownSort ? sortBy : getDefaultSort(block),
+    dateRange: DATE_RANGES.some((r) => r.value === dateRange) ? dateRange : 'all',
+    selectedTags: new Set(params.getAll(FILTER_PARAMS.tags).filter(Boolean)),
+    tagMode: params.get(FILTER_PARAMS.tagMode) === TAG_MATCH_ALL ? TAG_MATCH_ALL : TAG_MATCH_ANY,
+    savedOnly: params.get(FILTER_PARAMS.saved) === '1',
+  };
+}
 
-  if (rows.length === 0) {
-    listContainer.classList.add('is-empty');
-    if (emptyEl) emptyEl.hidden = false;
-    return;
+/**
+ * Serializes sidebar filter state to the query string (defaults are left out).
+ * Each filter change adds a history entry so back/forward step through them; consecutive
+ * keystrokes in the search field update a single entry instead.
+ * @param {HTMLElement} block
+ * @param {string} change - Filter that changed ('query', 'sort', 'dateRange', 'tags', 'tagMode'
+ *   or 'saved').
+ */
+function writeFiltersToUrl(block, change) {
+  const url = new URL(window.location.href);
+  Object.values(FILTER_PARAMS).forEach((param) => url.searchParams.delete(param));
+  const query = (block.recordingsSearchQuery || '').trim();
+  if (query) url.searchParams.set(FILTER_PARAMS.query, query);
+  const { recordingsSortBy: sortBy, recordingsDateRange: dateRange } = block;
+  if (sortBy !== getDefaultSort(block)) url.searchParams.set(FILTER_PARAMS.sortBy, sortBy);
+  if (dateRange !== 'all') url.searchParams.set(FILTER_PARAMS.dateRange, dateRange);
+  block.recordingsSelectedTags.forEach((tag) => url.searchParams.append(FILTER_PARAMS.tags, tag));
+  if (block.recordingsTagMode === TAG_MATCH_ALL) {
+    url.searchParams.set(FILTER_PARAMS.tagMode, TAG_MATCH_ALL);
   }
+  if (block.recordingsSavedOnly) url.searchParams.set(FILTER_PARAMS.saved, '1');
+  if (url.href === window.location.href) return;
 
-  listContainer.classList.remove('is-empty');
-  if (emptyEl) emptyEl.hidden = true;
-  rows.forEach((row, idx) => listContainer.append(buildRecordingsCard(row, idx)));
+  const state = { recordingsFilters: true, change };
+  const isTyping = change === 'query' && window.history.state?.change === 'query';
+  if (isTyping) window.history.replaceState(state, '', url.href);
+  else window.history.pushState(state, '', url.href);
 }
 
 let recordingsBlockCount = 0;
@@ -372,12 +574,8 @@ function createSidebar(block, data) {
   sortSelect.id = 'recordings-sort';
   sortSelect.className = 'recordings-sort';
   sortSelect.setAttribute('aria-label', 'Sort recordings');
-  [
-    { value: 'date-desc', label: 'Date (newest first)' },
-    { value: 'date-asc', label: 'Date (oldest first)' },
-    { value: 'title-asc', label: 'Title A–Z' },
-    { value: 'title-desc', label: 'Title Z–A' },
-  ].forEach((opt) => {
+  const sortOptions = block.recordingsPlaylist ? [PLAYLIST_SORT, ...SORT_OPTIONS] : SORT_OPTIONS;
+  sortOptions.forEach((opt) => {
     const o = document.createElement('option');
     o.value = opt.value;
     o.textContent = opt.label;
@@ -414,6 +612,22 @@ function createSidebar(block, data) {
   tagLabel.className = 'recordings-filter-label';
   tagLabel.textContent = 'Tag';
   tagWrap.append(tagLabel);
+  const tagModeList = document.createElement('div');
+  tagModeList.className = 'recordings-tag-mode';
+  tagModeList.setAttribute('role', 'radiogroup');
+  tagModeList.setAttribute('aria-label', 'Match recordings with');
+  [
+    { value: TAG_MATCH_ANY, label: 'Any tag' },
+    { value: TAG_MATCH_ALL, label: 'All tags' },
+  ].forEach((mode) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'recordings-tag-mode';
+    input.value = mode.value;
+    label.append(input, document.createTextNode(` ${mode.label}`));
+    tagModeList.append(label);
+  });
   const tagList = document.createElement('div');
   tagList.className = 'recordings-filter-options';
   tags.forEach((tag) => {
@@ -421,31 +635,65 @@ function createSidebar(block, data) {
     label.className = 'recordings-filter-option';
     const input = document.createElement('input');
     input.type = 'checkbox';
+    input.className = 'recordings-tag-filter';
     input.value = tag;
     input.setAttribute('aria-label', tag);
-    label.append(input, document.createTextNode(` ${tag}`));
+    const count = document.createElement('span');
+    count.className = 'recordings-tag-count';
+    label.append(input, document.createTextNode(` ${tag} `), count);
     tagList.append(label);
   });
-  tagWrap.append(tagList);
-
-  sidebar.append(searchWrap, sortWrap, dateRangeWrap, tagWrap);
+  tagWrap.append(tagModeList, tagList);
+
+  const savedWrap = document.createElement('div');
+  savedWrap.className = 'recordings-filter-group';
+  const savedLabel = document.createElement('span');
+  savedLabel.className = 'recordings-filter-label';
+  savedLabel.textContent = 'Saved';
+  const savedOption = document.createElement('label');
+  savedOption.className = 'recordings-filter-option';
+  const savedInput = document.createElement('input');
+  savedInput.type = 'checkbox';
+  savedInput.className = 'recordings-saved-filter';
+  const savedText = document.createElement('span');
+  savedOption.append(savedInput, ' ', savedText);
+  savedWrap.append(savedLabel, savedOption);
+
+  sidebar.append(searchWrap, sortWrap, dateRangeWrap, tagWrap, savedWrap);
 
   /* Wire events */
   const applySearch = debounce(() => {
     block.recordingsSearchQuery = search.value;
     updateRecordingsList(block);
+    writeFiltersToUrl(block, 'query');
   }, 180);
   search.addEventListener('input', () => applySearch());
 
   sortSelect.addEventListener('change', () => {
     block.recordingsSortBy = sortSelect.value;
     updateRecordingsList(block);
+    writeFiltersToUrl(block, 'sort');
   });
 
   dateRangeList.querySelectorAll('input[type="radio"]').forEach((radio) => {
     radio.addEventListener('change', () => {
       block.recordingsDateRange = radio.value;
       updateRecordingsList(block);
+      writeFiltersToUrl(block, 'dateRange');
+    });
+  });
+
+  savedInput.addEventListener('change', () => {
+    block.recordingsSavedOnly = savedInput.checked;
+    updateRecordingsList(block);
+    writeFiltersToUrl(block, 'saved');
+  });
+
+  tagModeList.querySelectorAll('input[type="radio"]').forEach((radio) => {
+    radio.addEventListener('change', () => {
+      block.recordingsTagMode = radio.value;
+      updateRecordingsList(block);
+      writeFiltersToUrl(block, 'tagMode');
     });
   });
 
@@ -456,23 +704,57 @@ function createSidebar(block, data) {
       else set.delete(cb.value);
       block.recordingsSelectedTags = set;
       updateRecordingsList(block);
+      writeFiltersToUrl(block, 'tags');
     });
   });
 
   return sidebar;
 }
 
+/** Updates the "Saved" filter label with the number of bookmarked recordings in this block. */
+function updateSavedCount(block) {
+  const label = block.querySelector('.recordings-saved-filter + span');
+  if (!label) return;
+  const saved = readSavedRecordings();
+  const count = (block.recordingsData || [])
+    .filter((row) => saved.has(getRecordingKey(row)))
+    .length;
+  label.textContent = `Watch later (${count})`;
+}
+
+/** Applies filter state to the block and reflects it in the sidebar controls. */
+function applyFilters(block, filters) {
+  block.recordingsSearchQuery = filters.query;
+  block.recordingsSortBy = filters.sortBy;
+  block.recordingsDateRange = filters.dateRange;
+  block.recordingsSelectedTags = filters.selectedTags;
+  block.recordingsTagMode = filters.tagMode;
+  block.recordingsSavedOnly = filters.savedOnly;
+
+  const sidebar = block.querySelector('.recordings-sidebar');
+  if (!sidebar) return;
+  sidebar.querySelector('.recordings-search').value = filters.query;
+  sidebar.querySelector('.recordings-sort').value = filters.sortBy;
+  sidebar.querySelectorAll('input[name="recordings-date-range"]').forEach((radio) => {
+    radio.checked = radio.value === filters.dateRange;
+  });
+  sidebar.querySelectorAll('input[name="recordings-tag-mode"]').forEach((radio) => {
+    radio.checked = radio.value === filters.tagMode;
+  });
+  sidebar.querySelectorAll('.recordings-tag-filter').forEach((cb) => {
+    cb.checked = filters.selectedTags.has(cb.value);
+  });
+  sidebar.querySelector('.recordings-saved-filter').checked = filters.savedOnly;
+}
+
 /**
  * Renders recordings from EDS sheet data with left sidebar (filters + sort) and list.
+ * Filter state is restored from the query string.
  * @param {HTMLElement} block
  * @param {Array} data - Array of { title, speaker, recordingLink, presentationLink, date, tag }
  */
 function renderFromSheet(block, data) {
   block.recordingsData = data;
-  block.recordingsSearchQuery = '';
-  block.recordingsSortBy = 'date-desc';
-  block.recordingsDateRange = 'all';
-  block.recordingsSelectedTags = new Set();
 
   block.textContent = '';
 
@@ -485,10 +767,32 @@ function renderFromSheet(block, data) {
   const main = document.createElement('div');
   main.className = 'recordings-main';
 
+  if (block.recordingsPlaylistTitle) {
+    const playlistTitle = document.createElement('h2');
+    playlistTitle.className = 'recordings-playlist-title';
+    playlistTitle.textContent = block.recordingsPlaylistTitle;
+    main.append(playlistTitle);
+  }
+
+  const countEl = document.createElement('p');
+  countEl.className = 'recordings-count';
+  countEl.setAttribute('aria-live', 'polite');
+  main.append(countEl);
+
   const listContainer = document.createElement('ul');
   listContainer.className = 'recordings-list';
   main.append(listContainer);
 
+  const loadMore = document.createElement('button');
+  loadMore.type = 'button';
+  loadMore.className = 'recordings-load-more';
+  loadMore.hidden = true;
+  loadMore.addEventListener('click', () => {
+    block.recordingsVisibleCount += block.recordingsPageSize || DEFAULT_PAGE_SIZE;
+    renderRecordingsPage(block);
+  });
+  main.append(loadMore);
+
   const emptyMsg = document.createElement('p');
   emptyMsg.className = 'recordings-empty';
   emptyMsg.textContent = 'No recordings match your filters.';
@@ -498,16 +802,91 @@ function renderFromSheet(block, data) {
   wrapper.append(main);
   block.append(wrapper);
 
+  /* Bookmark toggled: refresh the count, and the list when only saved recordings are shown */
+  block.addEventListener('recordings:saved', () => {
+    updateSavedCount(block);
+    if (block.recordingsSavedOnly) {
+      block.recordingsFilteredRows = getFilteredAndSortedData(block);
+      renderRecordingsPage(block);
+      updateTagCounts(block);
+    }
+  });
+
+  applyFilters(block, readFiltersFromUrl(block));
+  updateSavedCount(block);
   updateRecordingsList(block);
 }
 
+/**
+ * Resolves the rows of a playlist sheet against the recordings, keeping the author's order.
+ * Playlist rows reference a recording by title (and date, when titles repeat); rows with
+ * their own recording link are used as they are; rows matching no recording are dropped.
+ * @param {Array} playlist - Playlist sheet rows.
+ * @param {Array} recordings - Recordings sheet rows.
+ * @returns {Array} Recording rows in playlist order.
+ */
+function resolvePlaylist(playlist, recordings) {
+  const byTitle = new Map();
+  recordings.forEach((row) => {
+    const key = normalizeField(row.title).toLowerCase();
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(row);
+  });
+  return playlist
+    .map((item) => {
+      const matches = byTitle.get(normalizeField(item.title).toLowerCase()) || [];
+      const match = isEmptyField(item.date)
+        ? matches[0]
+        : matches.find((row) => String(row.date) === String(item.date));
+      if (match) return match;
+      return normalizeField(item.recordingLink) ? item : null;
+    })
+    /* a recording listed twice is shown once, at its first position */
+    .filter((row, i, rows) => row && rows.indexOf(row) === i);
+}
+
+/** Scroll to, highlight and expand the card matching the location hash (deep links from search). */
+function revealRecordingFromHash(block) {
+  const anchor = getAnchorFromHash();
+  if (!anchor) return;
+  /* Load enough pages to include the linked card */
+  const pageSize = block.recordingsPageSize || DEFAULT_PAGE_SIZE;
+  const index = (block.recordingsFilteredRows || [])
+    .findIndex((row) => getRowAnchorId(normalizeField(row.title), row.date) === anchor);
+  if (index >= block.recordingsVisibleCount) {
+    block.recordingsVisibleCount = Math.ceil((index + 1) / pageSize) * pageSize;
+    renderRecordingsPage(block);
+  }
+  revealAnchoredCard(block.querySelector(`.recordings-list > li#${CSS.escape(anchor)}`));
+}
+
 /**
  * Decorate recordings block: fetch data from EDS sheet and render. No fallback; block stays empty if fetch fails or returns no data.
+ * An optional "Page size" config row sets how many cards are shown before "Load more".
+ * An optional "Playlist" row links a playlist sheet (e.g. "Onboarding track"): only its
+ * recordings are shown, in the author's order, under an optional "Playlist title".
  */
 export default async function decorate(block) {
-  const data = await fetchRecordingsData();
+  const config = readBlockConfig(block);
+  const pageSize = parseInt(config['page-size'], 10);
+  block.recordingsPageSize = pageSize > 0 ? pageSize : DEFAULT_PAGE_SIZE;
+  const playlistLink = [config.playlist].flat()[0];
+  let data = await fetchRecordingsData();
+  if (playlistLink) {
+    const { pathname, search } = new URL(playlistLink, window.location.origin);
+    data = resolvePlaylist(await fetchRecordingsData(`${pathname}${search}`), data);
+    block.recordingsPlaylist = true;
+    block.recordingsPlaylistTitle = normalizeField(config['playlist-title']);
+  }
   if (data.length > 0) {
     renderFromSheet(block, data);
+    revealRecordingFromHash(block);
+    window.addEventListener('hashchange', () => revealRecordingFromHash(block));
+    /* Back/forward: restore the filters of that history entry */
+    window.addEventListener('popstate', () => {
+      applyFilters(block, readFiltersFromUrl(block));
+      updateRecordingsList(block);
+    });
   } else {
     block.textContent = '';
   }
@@ -0,0 +1,199 @@
+import { normalizeQuery, SEARCH_CHECKPOINTS } from '../../scripts/search-analytics.js';
+
+const TOP_QUERIES_LIMIT = 25;
+
+/**
+ * Extracts RUM bundles from an exported file, which is either the bundler
+ * response (`{ rumBundles: [...] }`) or a plain array of bundles.
+ * @param {Object|Array} json - Parsed export.
+ * @returns {Array} RUM bundles.
+ */
+function getBundles(json) {
+  if (Array.isArray(json)) return json;
+  if (Array.isArray(json?.rumBundles)) return json.rumBundles;
+  return [];
+}
+
+/**
+ * Aggregates search checkpoints by query, weighting each event by its bundle's sampling weight.
+ * @param {Array} bundles - RUM bundles.
+ * @returns {Array} Per-query stats: query, searches, empty, clicks and positionTotal.
+ */
+function aggregateSearches(bundles) {
+  const stats = new Map();
+  const getStats = (query) => {
+    if (!stats.has(query)) {
+      stats.set(query, {
+        query, searches: 0, empty: 0, clicks: 0, positionTotal: 0,
+      });
+    }
+    return stats.get(query);
+  };
+
+  bundles.forEach((bundle) => {
+    const weight = Number(bundle?.weight) || 1;
+    (bundle?.events || []).forEach(({ checkpoint, target }) => {
+      if (checkpoint === SEARCH_CHECKPOINTS.query) {
+        const query = normalizeQuery(target);
+        if (query) getStats(query).searches += weight;
+      } else if (checkpoint === SEARCH_CHECKPOINTS.empty) {
+        const query = normalizeQuery(target);
+        if (query) getStats(query).empty += weight;
+      } else if (checkpoint === SEARCH_CHECKPOINTS.click) {
+        // click targets are "<position> <query>"
+        const [, position, query] = String(target || '').match(/^(\d+) (.+)$/) || [];
+        if (!query) return;
+        const entry = getStats(normalizeQuery(query));
+        entry.clicks += weight;
+        entry.positionTotal += Number(position) * weight;
+      }
+    });
+  });
+  return [...stats.values()];
+}
+
+/**
+ * Formats a ratio as a whole percentage.
+ * @param {number} part - Numerator.
+ * @param {number} total - Denominator.
+ * @returns {string} Percentage, or an en dash when there is nothing to compare.
+ */
+function formatPercent(part, total) {
+  return total ? `${Math.round((Math.min(part, total) / total) * 100)}%` : '–';
+}
+
+/**
+ * Builds a report table.
+ * @param {string} caption - Table caption.
+ * @param {Array<string>} headings - Column headings.
+ * @param {Array<Array>} rows - Cell values per row.
+ * @returns {HTMLTableElement} Table element.
+ */
+function buildTable(caption, headings, rows) {
+  const table = document.createElement('table');
+  table.className = 'search-report-table';
+  const captionEl = document.createElement('caption');
+  captionEl.textContent = caption;
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  headings.forEach((heading) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = heading;
+    headRow.append(th);
+  });
+  thead.append(headRow);
+  const tbody = document.createElement('tbody');
+  rows.forEach((cells) => {
+    const tr = document.createElement('tr');
+    cells.forEach((cell) => {
+      const td = document.createElement('td');
+      td.textContent = cell;
+      tr.append(td);
+    });
+    tbody.append(tr);
+  });
+  table.append(captionEl, thead, tbody);
+  return table;
+}
+
+/**
+ * Renders the top queries and content gaps tables for a RUM export.
+ * @param {HTMLElement} output - Report container.
+ * @param {Object|Array} json - Parsed RUM export.
+ */
+function renderReport(output, json) {
+  output.textContent = '';
+  const stats = aggregateSearches(getBundles(json));
+  if (!stats.length) {
+    const empty = document.createElement('p');
+    empty.className = 'search-report-empty';
+    empty.textContent = 'No search checkpoints found in this export.';
+    output.append(empty);
+    return;
+  }
+
+  const totals = stats.reduce((acc, entry) => ({
+    searches: acc.searches + entry.searches,
+    empty: acc.empty + entry.empty,
+    clicks: acc.clicks + entry.clicks,
+  }), { searches: 0, empty: 0, clicks: 0 });
+  const summary = document.createElement('p');
+  summary.className = 'search-report-summary';
+  summary.textContent = [
+    `${totals.searches} estimated searches`,
+    `${formatPercent(totals.empty, totals.searches)} with no results`,
+    `${formatPercent(totals.clicks, totals.searches)} led to a click`,
+  ].join(' · ');
+
+  const topQueries = [...stats]
+    .sort((a, b) => b.searches - a.searches)
+    .slice(0, TOP_QUERIES_LIMIT)
+    .map((entry) => [
+      entry.query,
+      entry.searches,
+      entry.clicks,
+      formatPercent(entry.clicks, entry.searches),
+      entry.clicks ? (entry.positionTotal / entry.clicks).toFixed(1) : '–',
+      formatPercent(entry.empty, entry.searches),
+    ]);
+
+  // content gaps: queries people search for that never return anything
+  const gaps = stats
+    .filter((entry) => entry.empty > 0)
+    .sort((a, b) => b.empty - a.empty)
+    .map((entry) => [entry.query, entry.empty, formatPercent(entry.empty, entry.searches)]);
+
+  output.append(
+    summary,
+    buildTable('Top queries', ['Query', 'Searches', 'Clicks', 'CTR', 'Avg. position', 'No results'], topQueries),
+    gaps.length
+      ? buildTable('Content gaps', ['Query', 'Searches with no results', 'Share of searches'], gaps)
+      : '',
+  );
+}
+
+/**
+ * Reads and renders a RUM export, reporting parse errors in the output.
+ * @param {HTMLElement} output - Report container.
+ * @param {Promise<string>} text - Export contents.
+ */
+async function loadReport(output, text) {
+  try {
+    renderReport(output, JSON.parse(await text));
+  } catch (error) {
+    output.textContent = '';
+    const message = document.createElement('p');
+    message.className = 'search-report-error';
+    message.textContent = 'Could not read this file. Please choose a RUM bundle export (JSON).';
+    output.append(message);
+  }
+}
+
+export default async function decorate(block) {
+  // optional config: link to a RUM export published alongside the page
+  const source = block.querySelector('a[href]')?.href;
+  block.textContent = '';
+
+  const label = document.createElement('label');
+  label.className = 'search-report-upload';
+  label.textContent = 'RUM bundle export (JSON)';
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'application/json,.json';
+  label.append(input);
+
+  const output = document.createElement('div');
+  output.className = 'search-report-output';
+  output.setAttribute('aria-live', 'polite');
+  block.append(label, output);
+
+  input.addEventListener('change', () => {
+    const [file] = input.files;
+    if (file) loadReport(output, file.text());
+  });
+
+  if (source) {
+    loadReport(output, fetch(source).then((resp) => resp.text()));
+  }
+}
@@ -1,10 +1,23 @@
 import {
     createOptimizedPicture,
     decorateIcons,
+  readBlockConfig,
   } from '../../scripts/aem.js';
   import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { createSearchTracker } from '../../scripts/search-analytics.js';
+import {
+  buildSearchIndex,
+  editDistance,
+  maxEdits,
+  parseTolerance,
+  suggestQuery,
+} from '../../scripts/search-index.js';
   
   const searchParams = new URLSearchParams(window.location.search);
+// "Did you mean" indexes keyed by source URL, built on the first search without results
+const searchIndexCache = new Map();
+// used to give each block's results listbox a unique id
+let listboxCount = 0;
   
   function findNextHeading(el) {
     let preceedingEl = el.parentElement.previousElement || el.parentElement.parentElement;
@@ -85,6 +98,7 @@ import {
   
   function renderResult(result, searchTerms, titleTag) {
     const li = document.createElement('li');
+  li.setAttribute('role', 'option');
     const a = document.createElement('a');
     a.href = result.path;
     if (result.image) {
@@ -114,13 +128,73 @@ import {
     return li;
   }
   
+/**
+ * Marks a result option as active and points the combobox at it.
+ * @param {HTMLElement} block Search block
+ * @param {number} index Index of the option to activate, or -1 to clear
+ */
+function setActiveOption(block, index) {
+  const input = block.querySelector('.search-input');
+  const options = [...block.querySelectorAll('.search-results > [role="option"]')];
+  options.forEach((option, i) => {
+    option.classList.toggle('is-active', i === index);
+    option.setAttribute('aria-selected', i === index);
+  });
+  const active = options[index];
+  if (active) {
+    input.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Moves the active result option, wrapping around at either end.
+ * @param {HTMLElement} block Search block
+ * @param {number} step 1 to move down, -1 to move up
+ */
+function moveActiveOption(block, step) {
+  const options = [...block.querySelectorAll('.search-results > [role="option"]')];
+  if (!options.length) return;
+  const current = options.findIndex((option) => option.classList.contains('is-active'));
+  // with nothing active, ArrowUp starts from the last option
+  const next = current < 0 && step < 0 ? options.length - 1 : current + step;
+  setActiveOption(block, (next + options.length) % options.length);
+}
+
+/**
+ * Updates the combobox state and announces the result count to screen readers.
+ * @param {HTMLElement} block Search block
+ * @param {string} message Announcement, empty when results are cleared
+ */
+function updateCombobox(block, message) {
+  const input = block.querySelector('.search-input');
+  const hasOptions = !!block.querySelector('.search-results > [role="option"]');
+  input.setAttribute('aria-expanded', hasOptions);
+  setActiveOption(block, -1);
+  block.querySelector('.search-status').textContent = message;
+}
+
   function clearSearchResults(block) {
     const searchResults = block.querySelector('.search-results');
     searchResults.innerHTML = '';
+  updateCombobox(block, '');
+}
+
+/**
+ * Reports a click on a search result, with its position, to RUM.
+ * @param {HTMLElement} block Search block
+ * @param {HTMLElement} option Clicked result option
+ */
+function trackResultClick(block, option) {
+  const options = [...block.querySelectorAll('.search-results > [role="option"]')];
+  block.searchTracker.click(options.indexOf(option) + 1);
   }
   
   function clearSearch(block) {
     clearSearchResults(block);
+  block.searchTracker.query('', 0);
     if (window.history.replaceState) {
       const url = new URL(window.location.href);
       url.search = '';
@@ -129,30 +203,67 @@ import {
     }
   }
   
-  async function renderResults(block, config, filteredData, searchTerms) {
+async function renderResults(block, config, filteredData, searchTerms, suggestion) {
     clearSearchResults(block);
     const searchResults = block.querySelector('.search-results');
     const headingTag = searchResults.dataset.h;
   
     if (filteredData.length) {
       searchResults.classList.remove('no-results');
-      filteredData.forEach((result) => {
+    filteredData.forEach((result, i) => {
         const li = renderResult(result, searchTerms, headingTag);
+      li.id = `${searchResults.id}-option-${i}`;
         searchResults.append(li);
       });
+    const count = `${filteredData.length} result${filteredData.length === 1 ? '' : 's'}`;
+    updateCombobox(block, `${count} available. Use up and down arrow keys to navigate.`);
     } else {
       const noResultsMessage = document.createElement('li');
       searchResults.classList.add('no-results');
       noResultsMessage.textContent = config.placeholders.searchNoResults || 'No results found.';
+    if (suggestion) {
+      const didYouMean = document.createElement('p');
+      didYouMean.className = 'search-did-you-mean';
+      const link = document.createElement('a');
+      link.href = `?q=${encodeURIComponent(suggestion)}`;
+      link.textContent = suggestion;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const input = block.querySelector('input');
+        input.value = suggestion;
+        input.dispatchEvent(new Event('input'));
+      });
+      didYouMean.append(`${config.placeholders.searchDidYouMean || 'Did you mean'} `, link, '?');
+      noResultsMessage.append(didYouMean);
+    }
       searchResults.append(noResultsMessage);
+    updateCombobox(block, noResultsMessage.textContent);
     }
   }
   
+/**
+ * Finds a search term in text, falling back to the closest word within
+ * typo tolerance so misspelled terms still match.
+ * @param {string} text Lowercase text to search
+ * @param {string} term Lowercase search term
+ * @param {Array} tolerance Typo tolerance table
+ * @returns {number} Offset of the match, or -1
+ */
+function findTerm(text, term, tolerance) {
+  const idx = text.indexOf(term);
+  if (idx >= 0) return idx;
+  const distance = maxEdits(term.length, tolerance);
+  if (!distance) return -1;
+  const word = [...text.matchAll(/[\p{L}\p{N}]+/gu)]
+    .find((m) => editDistance(term, m[0], distance) <= distance);
+  return word ? word.index : -1;
+}
+
   function compareFound(hit1, hit2) {
     return hit1.minIdx - hit2.minIdx;
   }
   
-  function filterData(searchTerms, data) {
+function filterData(searchTerms, data, tolerance) {
     const foundInHeader = [];
     const foundInMeta = [];
   
@@ -160,7 +271,7 @@ import {
       let minIdx = -1;
   
       searchTerms.forEach((term) => {
-        const idx = (result.header || result.title).toLowerCase().indexOf(term);
+      const idx = findTerm((result.header || result.title).toLowerCase(), term, tolerance);
         if (idx < 0) return;
         if (minIdx < idx) minIdx = idx;
       });
@@ -172,7 +283,7 @@ import {
   
       const metaContents = `${result.title} ${result.description} ${result.path.split('/').pop()}`.toLowerCase();
       searchTerms.forEach((term) => {
-        const idx = metaContents.indexOf(term);
+      const idx = findTerm(metaContents, term, tolerance);
         if (idx < 0) return;
         if (minIdx < idx) minIdx = idx;
       });
@@ -204,14 +315,25 @@ import {
     const searchTerms = searchValue.toLowerCase().split(/\s+/).filter((term) => !!term);
   
     const data = await fetchData(config.source);
-    const filteredData = filterData(searchTerms, data);
-    await renderResults(block, config, filteredData, searchTerms);
+  const filteredData = filterData(searchTerms, data, config.tolerance);
+  if (!filteredData.length && !searchIndexCache.has(config.source)) {
+    searchIndexCache.set(config.source, buildSearchIndex(data));
+  }
+  const suggestion = filteredData.length
+    ? null
+    : suggestQuery(searchIndexCache.get(config.source), searchValue);
+  await renderResults(block, config, filteredData, searchTerms, suggestion);
+  block.searchTracker.query(searchValue, filteredData.length);
   }
   
   function searchResultsContainer(block) {
     const results = document.createElement('ul');
     results.className = 'search-results';
     results.dataset.h = findNextHeading(block);
+  listboxCount += 1;
+  results.id = `search-results-${listboxCount}`;
+  results.setAttribute('role', 'listbox');
+  results.setAttribute('aria-label', 'Search results');
     return results;
   }
   
@@ -223,12 +345,31 @@ import {
     const searchPlaceholder = config.placeholders.searchPlaceholder || 'Search...';
     input.placeholder = searchPlaceholder;
     input.setAttribute('aria-label', searchPlaceholder);
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', false);
   
     input.addEventListener('input', (e) => {
       handleSearch(e, block, config);
     });
   
-    input.addEventListener('keyup', (e) => { if (e.code === 'Escape') { clearSearch(block); } });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault(); // keep caret in place
+      moveActiveOption(block, e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      const active = block.querySelector('.search-results > .is-active');
+      const link = active?.querySelector('a[href]');
+      if (link) {
+        trackResultClick(block, active);
+        window.location.href = link.href;
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      input.value = '';
+      clearSearch(block);
+    }
+  });
   
     return input;
   }
@@ -253,11 +394,25 @@ import {
   export default async function decorate(block) {
     const placeholders = await fetchPlaceholders();
     const source = block.querySelector('a[href]') ? block.querySelector('a[href]').href : '/query-index.json';
+  // optional "Typo tolerance" row, e.g. "4: 1, 8: 2" or "off"
+  const tolerance = parseTolerance(readBlockConfig(block)['typo-tolerance']);
     block.innerHTML = '';
+  const status = document.createElement('div');
+  status.className = 'search-status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  const results = searchResultsContainer(block);
+  results.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option && e.target.closest('a[href]')) trackResultClick(block, option);
+  });
+  block.searchTracker = createSearchTracker('.search');
     block.append(
-      searchBox(block, { source, placeholders }),
-      searchResultsContainer(block),
+    searchBox(block, { source, placeholders, tolerance }),
+    status,
+    results,
     );
+  block.querySelector('.search-input').setAttribute('aria-controls', results.id);
   
     if (searchParams.get('q')) {
       const input = block.querySelector('input');
@@ -0,0 +1,218 @@
+import { readBlockConfig } from '../../scripts/aem.js';
+import { getRowAnchorId } from '../../scripts/anchors.js';
+import { fetchOptionalSheet } from '../../scripts/community-data.js';
+import { getEventRows, isUpcomingRow } from '../../scripts/events-data.js';
+import { isEmptyField, isSafeUrl, normalizeField } from '../../scripts/sheet-fields.js';
+import {
+  buildSpeakerLinks,
+  getSpeakerKey,
+  hasSpeaker,
+  splitSpeakers,
+} from '../../scripts/speakers.js';
+import { splitTags } from '../../scripts/tags.js';
+import { parseZonedDate, resolveTimeZone } from '../../scripts/timezones.js';
+
+/** Default sheets; authors can override them with "Recordings" / "Events" config rows. */
+const RECORDINGS_SHEET_PATH = '/forms/recording-form/recordings.json?sheet=recordings';
+const EVENTS_SHEET_PATH = '/forms/events-form/events.json?sheet=events';
+
+/** Parses a recording's date (an Excel serial or date string). */
+function parseSheetDate(value) {
+  return isEmptyField(value) ? null : parseZonedDate(value);
+}
+
+function formatDate(date, withTime = false) {
+  if (!date) return '';
+  return new Intl.DateTimeFormat(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...(withTime ? { hour: '2-digit', minute: '2-digit', timeZoneName: 'short' } : {}),
+  }).format(date);
+}
+
+/**
+ * Picks the display name of a speaker: the spelling used most often in the sheets.
+ * @param {string} name - Name from the URL.
+ * @param {Array} rows - Rows the speaker appears in.
+ * @returns {string} Display name.
+ */
+function getDisplayName(name, rows) {
+  const key = getSpeakerKey(name);
+  const counts = new Map();
+  rows.forEach((row) => {
+    splitSpeakers(row.speaker)
+      .filter((speaker) => getSpeakerKey(speaker) === key)
+      .forEach((speaker) => counts.set(speaker, (counts.get(speaker) || 0) + 1));
+  });
+  const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : name.trim();
+}
+
+/** Builds a link opening in a new tab, or null for missing/unsafe URLs. */
+function buildExternalLink(url, text, className) {
+  if (!url || !isSafeUrl(url)) return null;
+  const a = document.createElement('a');
+  a.href = url;
+  a.className = className;
+  a.textContent = text;
+  a.target = '_blank';
+  a.rel = 'noopener';
+  return a;
+}
+
+/**
+ * Builds one talk item (recording or event).
+ * @param {Object} talk - Normalized talk: title, date, speaker, type, links and page link.
+ * @param {string} speakerName - Profile owner, left out of the co-speaker list.
+ * @returns {HTMLLIElement} Talk item.
+ */
+function buildTalkItem(talk, speakerName) {
+  const li = document.createElement('li');
+  li.className = `speaker-profile-talk is-${talk.type}`;
+
+  const title = document.createElement('h3');
+  title.className = 'speaker-profile-talk-title';
+  const titleLink = document.createElement('a');
+  titleLink.href = talk.pageUrl;
+  titleLink.textContent = talk.title;
+  title.append(titleLink);
+  li.append(title);
+
+  const meta = document.createElement('p');
+  meta.className = 'speaker-profile-talk-meta';
+  meta.textContent = [formatDate(talk.date, talk.type === 'upcoming'), talk.room, talk.tag]
+    .filter(Boolean)
+    .join(' · ');
+  if (meta.textContent) li.append(meta);
+
+  const coSpeakers = buildSpeakerLinks(talk.speaker, { exclude: speakerName });
+  if (coSpeakers.childNodes.length) {
+    const withEl = document.createElement('p');
+    withEl.className = 'speaker-profile-talk-cospeakers';
+    withEl.append('With ', coSpeakers);
+    li.append(withEl);
+  }
+
+  const actions = [
+    buildExternalLink(talk.meetingLink, 'Join meeting', 'speaker-profile-join'),
+    buildExternalLink(talk.recordingLink, 'Watch recording', 'speaker-profile-recording'),
+    buildExternalLink(talk.presentationLink, 'View presentation', 'speaker-profile-presentation'),
+  ].filter(Boolean);
+  if (actions.length) {
+    const actionsEl = document.createElement('p');
+    actionsEl.className = 'speaker-profile-talk-actions';
+    actionsEl.append(...actions);
+    li.append(actionsEl);
+  }
+  return li;
+}
+
+/** Builds a titled list section, or null when there is nothing to list. */
+function buildSection(heading, talks, speakerName) {
+  if (!talks.length) return null;
+  const section = document.createElement('section');
+  section.className = 'speaker-profile-section';
+  const h2 = document.createElement('h2');
+  h2.textContent = heading;
+  const list = document.createElement('ul');
+  list.className = 'speaker-profile-talks';
+  talks.forEach((talk) => list.append(buildTalkItem(talk, speakerName)));
+  section.append(h2, list);
+  return section;
+}
+
+function buildMessage(text) {
+  const p = document.createElement('p');
+  p.className = 'speaker-profile-empty';
+  p.textContent = text;
+  return p;
+}
+
+/**
+ * Speaker profile: aggregates every recording, presentation and (upcoming or past)
+ * event of the speaker named in `?name=` across the recordings and events sheets.
+ * Event times are read like the events block: the row's `timezone` column, else the
+ * "Timezone" config row; recurring series are listed as their occurrences.
+ */
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const blockTimeZone = resolveTimeZone(config.timezone);
+  const name = new URLSearchParams(window.location.search).get('name') || '';
+  block.textContent = '';
+
+  if (!getSpeakerKey(name)) {
+    block.append(buildMessage('No speaker selected.'));
+    return;
+  }
+
+  const [recordings, events] = await Promise.all([
+    fetchOptionalSheet(config.recordings || RECORDINGS_SHEET_PATH),
+    fetchOptionalSheet(config.events || EVENTS_SHEET_PATH),
+  ]);
+  const ownRecordings = recordings.filter((row) => hasSpeaker(normalizeField(row.speaker), name));
+  const ownEvents = getEventRows(events, { timeZone: blockTimeZone })
+    .filter((row) => hasSpeaker(normalizeField(row.speaker), name));
+  const speakerName = getDisplayName(name, [...ownRecordings, ...ownEvents]);
+
+  const now = new Date();
+  const toTalk = (row, type, date) => {
+    const title = normalizeField(row.title);
+    const pageUrl = type === 'recording'
+      ? `/recordings#${getRowAnchorId(title, row.date)}`
+      : `/events#${getRowAnchorId(title, row.dateTime)}`;
+    return {
+      type,
+      date,
+      title,
+      speaker: normalizeField(row.speaker),
+      tag: splitTags(row.tag).join(', '),
+      room: normalizeField(row.meetingRoom),
+      recordingLink: normalizeField(row.recordingLink),
+      presentationLink: normalizeField(row.presentationLink),
+      meetingLink: type === 'upcoming' ? normalizeField(row.meetingLink) : '',
+      pageUrl,
+    };
+  };
+  const byDateDesc = (a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0);
+
+  const recorded = ownRecordings
+    .map((row) => toTalk(row, 'recording', parseSheetDate(row.date)))
+    .sort(byDateDesc);
+  const eventTalks = ownEvents.map((row) => toTalk(
+    row,
+    row.parsedDate && isUpcomingRow(row, now) ? 'upcoming' : 'past',
+    row.parsedDate,
+  ));
+  const upcoming = eventTalks
+    .filter((talk) => talk.type === 'upcoming')
+    .sort((a, b) => a.date - b.date);
+  const past = eventTalks.filter((talk) => talk.type === 'past').sort(byDateDesc);
+
+  const header = document.createElement('header');
+  header.className = 'speaker-profile-header';
+  const h1 = document.createElement('h1');
+  h1.textContent = speakerName;
+  const summary = document.createElement('p');
+  summary.className = 'speaker-profile-summary';
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  summary.textContent = [
+    plural(recorded.length, 'recording'),
+    plural(upcoming.length, 'upcoming event'),
+    plural(past.length, 'past talk'),
+  ].join(' · ');
+  header.append(h1, summary);
+  block.append(header);
+  document.title = `${speakerName} | ${document.title}`;
+
+  if (!recorded.length && !eventTalks.length) {
+    block.append(buildMessage(`No talks found for ${name.trim()}.`));
+    return;
+  }
+
+  block.append(...[
+    buildSection('Upcoming events', upcoming, speakerName),
+    buildSection('Recordings', recorded, speakerName),
+    buildSection('Past talks', past, speakerName),
+  ].filter(Boolean));
+}
@@ -0,0 +1,65 @@
+import { toClassName } from './aem.js';
+
+/**
+ * Normalizes a sheet date (Excel serial, ISO string or any parseable date) to YYYY-MM-DD.
+ * Uses the literal date of ISO strings and UTC otherwise, so the key is the same
+ * for every viewer regardless of their timezone.
+ * @param {string|number} value - Date value from a sheet row.
+ * @returns {string} Date key, or '' if the value is not a date.
+ */
+function toDateKey(value) {
+  if (value == null || String(value).trim() === '') return '';
+  const str = String(value).trim();
+  const iso = str.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (iso) return iso[1];
+  const num = Number(str);
+  const date = Number.isNaN(num)
+    ? new Date(str)
+    : new Date(Math.floor(num - 25569) * 86400 * 1000);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds a stable anchor id for a sheet row (recording, event, ...) from its title and date.
+ * @param {string} title - Row title.
+ * @param {string|number} date - Row date or date-time.
+ * @returns {string} Anchor id, or '' if the row has no title.
+ */
+export function getRowAnchorId(title, date) {
+  const slug = toClassName(String(title || ''));
+  if (!slug) return '';
+  const dateKey = toDateKey(date);
+  return dateKey ? `${slug}-${dateKey}` : slug;
+}
+
+/**
+ * Returns the anchor id from the current location hash.
+ * @returns {string} Decoded anchor id, or '' if there is none.
+ */
+export function getAnchorFromHash() {
+  const { hash } = window.location;
+  if (!hash || hash.length < 2) return '';
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch (e) {
+    return hash.slice(1);
+  }
+}
+
+/**
+ * Scrolls an anchored card into view, then highlights and expands it.
+ * Any previously targeted card in the same container is reset first.
+ * @param {HTMLElement} card - Card whose id matches the location hash.
+ */
+export function revealAnchoredCard(card) {
+  if (!card) return;
+  const container = card.parentElement?.closest('.block') || document;
+  container.querySelectorAll('.is-targeted').forEach((el) => {
+    el.classList.remove('is-targeted', 'is-expanded');
+    el.removeAttribute('aria-current');
+  });
+  card.classList.add('is-targeted', 'is-expanded');
+  card.setAttribute('aria-current', 'true');
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  card.scrollIntoView({ behavior: prefersReducedMotion ? 'auto' : 'smooth', block: 'center' });
+}
@@ -0,0 +1,258 @@
+/**
+ * Calendar export for events: RFC 5545 (.ics) files generated client-side and
+ * "add to calendar" links for Google Calendar and Outlook.
+ * All times are written in UTC, so calendars show them in each reader's own timezone;
+ * all-day events use plain dates instead.
+ */
+
+import { getZonedParts, VIEWER_TIME_ZONE } from './timezones.js';
+
+/** Length assumed for events without an end time or duration. */
+export const DEFAULT_DURATION_MINUTES = 60;
+
+const GOOGLE_CALENDAR_URL = 'https://calendar.google.com/calendar/render';
+const OUTLOOK_CALENDAR_URL = 'https://outlook.office.com/calendar/0/deeplink/compose';
+
+/**
+ * Parses a duration such as "45 min", "1h", "1 hr 30 mins" or "90" (minutes).
+ * @param {string|number} value - Duration cell.
+ * @returns {number|null} Minutes, or null if the value is not a duration.
+ */
+export function parseDuration(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(text) || null;
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*h/);
+  const minutes = text.match(/(\d+)\s*m/);
+  const total = (hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0);
+  return total > 0 ? Math.round(total) : null;
+}
+
+/**
+ * Normalizes an event for export.
+ * @param {Object} event
+ * @param {string} event.title - Event title.
+ * @param {Date} event.start - Start time.
+ * @param {Date} [event.end] - End time; defaults to start plus `durationMinutes`.
+ * @param {number} [event.durationMinutes] - Duration used when there is no end time.
+ * @param {string} [event.description] - Plain-text details.
+ * @param {string} [event.location] - Room or address.
+ * @param {string} [event.url] - Meeting link.
+ * @param {string} [event.uid] - Stable id, so re-importing updates instead of duplicating.
+ * @param {boolean} [event.allDay] - Date-only event, on the day of `start` in `timeZone`.
+ * @param {string} [event.timeZone] - Source IANA zone of an all-day event.
+ * @returns {Object|null} Calendar event, or null without a title or valid start.
+ */
+export function toCalendarEvent({
+  title, start, end, durationMinutes, description = '', location = '', url = '', uid = '',
+  allDay = false, timeZone = VIEWER_TIME_ZONE,
+}) {
+  if (!title || !(start instanceof Date) || Number.isNaN(start.getTime())) return null;
+  // all-day events are written as plain dates, kept here as the UTC midnight of their day
+  const day = allDay && getZonedParts(start, timeZone || VIEWER_TIME_ZONE);
+  const eventStart = day ? new Date(Date.UTC(day.year, day.month - 1, day.day)) : start;
+  const minutes = allDay ? 24 * 60 : durationMinutes || DEFAULT_DURATION_MINUTES;
+  const validEnd = !allDay && end instanceof Date && end > start ? end : null;
+  return {
+    title,
+    start: eventStart,
+    end: validEnd || new Date(eventStart.getTime() + minutes * 60 * 1000),
+    allDay,
+    description,
+    location,
+    url,
+    uid: uid || `${start.getTime()}-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+  };
+}
+
+/** Formats a date as an iCalendar UTC date-time, e.g. 20260315T093000Z. */
+function toUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** Formats the (UTC) day of a date as an iCalendar date, e.g. 20260315. */
+function toDateStamp(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/** Start and end of an event as iCalendar values (dates for all-day events). */
+function getStamps(event) {
+  const format = event.allDay ? toDateStamp : toUtcStamp;
+  return [format(event.start), format(event.end)];
+}
+
+/** Escapes a TEXT value (RFC 5545 §3.3.11). */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets per line (RFC 5545 §3.1), never splitting a character.
+ * @param {string} line - Unfolded content line.
+ * @returns {string} Folded line, joined with CRLF + space.
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  [...line].forEach((char) => {
+    const charSize = encoder.encode(char).length;
+    // continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length ? 74 : 75;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Builds an iCalendar (.ics) document.
+ * @param {Array<Object>} events - Calendar events from `toCalendarEvent`.
+ * @param {string} [name] - Calendar name shown by clients that import it as a feed.
+ * @returns {string} iCalendar text with CRLF line endings.
+ */
+export function buildIcs(events, name = '') {
+  const stamp = toUtcStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${window.location.hostname}//Events//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+  ];
+  events.filter(Boolean).forEach((event) => {
+    const [start, end] = getStamps(event);
+    const valueType = event.allDay ? ';VALUE=DATE' : '';
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeText(event.uid)}@${window.location.hostname}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART${valueType}:${start}`,
+      `DTEND${valueType}:${end}`,
+      `SUMMARY:${escapeText(event.title)}`,
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location || event.url) lines.push(`LOCATION:${escapeText(event.location || event.url)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Downloads events as an .ics file.
+ * @param {Array<Object>} events - Calendar events.
+ * @param {string} filename - File name without extension.
+ * @param {string} [name] - Calendar name.
+ */
+export function downloadIcs(events, filename, name = '') {
+  const blob = new Blob([buildIcs(events, name)], { type: 'text/calendar;charset=utf-8' });
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = `${filename.replace(/[^a-z0-9-_]+/gi, '-').replace(/(^-|-$)/g, '') || 'event'}.ics`;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+}
+
+/** Details text for web calendars, which have no separate URL field. */
+function getDetails(event) {
+  return [event.description, event.url && `Join: ${event.url}`].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Returns a Google Calendar "create event" link.
+ * @param {Object} event - Calendar event.
+ * @returns {string} URL.
+ */
+export function getGoogleCalendarUrl(event) {
+  const url = new URL(GOOGLE_CALENDAR_URL);
+  url.searchParams.set('action', 'TEMPLATE');
+  url.searchParams.set('text', event.title);
+  url.searchParams.set('dates', getStamps(event).join('/'));
+  url.searchParams.set('details', getDetails(event));
+  if (event.location || event.url) url.searchParams.set('location', event.location || event.url);
+  return url.toString();
+}
+
+/**
+ * Returns an Outlook (Microsoft 365) "new event" link.
+ * @param {Object} event - Calendar event.
+ * @returns {string} URL.
+ */
+export function getOutlookCalendarUrl(event) {
+  const url = new URL(OUTLOOK_CALENDAR_URL);
+  url.searchParams.set('path', '/calendar/action/compose');
+  url.searchParams.set('rru', 'addevent');
+  url.searchParams.set('subject', event.title);
+  if (event.allDay) {
+    url.searchParams.set('allday', 'true');
+    url.searchParams.set('startdt', event.start.toISOString().slice(0, 10));
+    url.searchParams.set('enddt', event.end.toISOString().slice(0, 10));
+  } else {
+    url.searchParams.set('startdt', event.start.toISOString());
+    url.searchParams.set('enddt', event.end.toISOString());
+  }
+  url.searchParams.set('body', getDetails(event));
+  if (event.location || event.url) url.searchParams.set('location', event.location || event.url);
+  return url.toString();
+}
+
+/**
+ * Builds an "Add to calendar" disclosure with Google, Outlook and .ics options.
+ * The options open inline, so they are not clipped by scrolling containers.
+ * @param {Object} event - Calendar event.
+ * @param {string} className - Class of the disclosure; parts get `<className>-*` classes.
+ * @returns {HTMLDetailsElement} Add to calendar control.
+ */
+export function buildAddToCalendar(event, className) {
+  const details = document.createElement('details');
+  details.className = className;
+  const summary = document.createElement('summary');
+  summary.className = `${className}-toggle`;
+  summary.textContent = 'Add to calendar';
+  const list = document.createElement('ul');
+  list.className = `${className}-options`;
+
+  const addLink = (text, href) => {
+    const a = document.createElement('a');
+    a.href = href;
+    a.textContent = text;
+    a.target = '_blank';
+    a.rel = 'noopener';
+    const li = document.createElement('li');
+    li.append(a);
+    list.append(li);
+  };
+  addLink('Google Calendar', getGoogleCalendarUrl(event));
+  addLink('Outlook', getOutlookCalendarUrl(event));
+
+  const download = document.createElement('button');
+  download.type = 'button';
+  download.textContent = 'Download .ics';
+  download.addEventListener('click', () => {
+    downloadIcs([event], event.title);
+    details.open = false;
+  });
+  const li = document.createElement('li');
+  li.append(download);
+  list.append(li);
+
+  details.append(summary, list);
+  return details;
+}
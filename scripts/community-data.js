@@ -0,0 +1,359 @@
+/**
+ * Community data for the comd-* blocks: community URLs, sheet fetching, community matching
+ * and typed access to sheet records. Each sheet URL is fetched once per page, however many
+ * blocks read it, and every block picks the community's records by the same slug.
+ *
+ * A community lives at `/communities/<slug>`, where the slug is its normalized name.
+ * Those paths have no page of their own: the site's folder mapping serves them from the
+ * details page template, and legacy `/communities/details?name=` links redirect to them.
+ * The template carries `Template: community` metadata, which tells its slug paths apart
+ * from pages authored under `/communities/`.
+ */
+
+import { getMetadata, toClassName } from './aem.js';
+import { editDistance } from './search-index.js';
+import { splitTags } from './tags.js';
+
+const COMMUNITIES_PATH = '/communities/';
+
+/** Details page template; also the target of legacy `?name=` links. */
+const COMMUNITY_TEMPLATE_PATH = '/communities/details';
+
+/** `Template` metadata of the details page template. */
+const COMMUNITY_TEMPLATE = 'community';
+
+/** Sheet requests by URL, shared by every block on the page. */
+const sheetRequests = new Map();
+
+/**
+ * Keeps a sheet link same-origin (path and query only). Bare paths such as
+ * "communities.json" are read from the site root.
+ * @param {string} input - Authored link or path.
+ * @returns {string} Relative URL, or '' if the input is empty or invalid.
+ */
+export function toRelativeUrl(input) {
+  const value = String(input || '').trim();
+  if (!value) return '';
+  if (value.startsWith('/')) return value;
+  if (!/^https?:\/\//i.test(value)) return `/${value.replace(/^\/+/, '')}`;
+  try {
+    const parsed = new URL(value, window.location.origin);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Normalizes a community name for matching, e.g. "AEM Sites" → "aem-sites".
+ * @param {string} value - Name.
+ * @returns {string} Key.
+ */
+export function normalizeKey(value) {
+  return (value || '')
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+}
+
+/**
+ * Builds the path of a community page.
+ * @param {string} name - Community name (or slug).
+ * @returns {string} Path, e.g. "/communities/aem-sites".
+ */
+export function getCommunityPath(name) {
+  return `${COMMUNITIES_PATH}${normalizeKey(name)}`;
+}
+
+/**
+ * Checks whether the current page is served from the details page template, rather than
+ * being a page authored under `/communities/` (e.g. `/communities/faq`).
+ * @returns {boolean} Whether the page is a community page.
+ */
+function isCommunityTemplate() {
+  return getMetadata('template').split(',').map(toClassName).includes(COMMUNITY_TEMPLATE);
+}
+
+/**
+ * Returns the slug of the community the current page is about: the last segment of
+ * `/communities/<slug>`, or the `name` of a legacy `/communities/details?name=` link.
+ * @returns {string} Slug, or '' outside community pages.
+ */
+export function getCommunitySlug() {
+  const { pathname, searchParams } = new URL(window.location.href);
+  if (pathname === COMMUNITY_TEMPLATE_PATH) return normalizeKey(searchParams.get('name'));
+  const match = pathname.match(/^\/communities\/([^/.]+)\/?$/);
+  if (!match || !isCommunityTemplate()) return '';
+  try {
+    return normalizeKey(decodeURIComponent(match[1]));
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Redirects a legacy `/communities/details?name=` link to `/communities/<slug>`, keeping
+ * other parameters and the hash.
+ * @returns {boolean} True if the page is redirecting and should not be decorated.
+ */
+export function redirectLegacyCommunityUrl() {
+  const url = new URL(window.location.href);
+  if (url.pathname !== COMMUNITY_TEMPLATE_PATH || !url.searchParams.has('name')) return false;
+  const slug = getCommunitySlug();
+  if (!slug) return false;
+  url.searchParams.delete('name');
+  window.location.replace(`${getCommunityPath(slug)}${url.search}${url.hash}`);
+  return true;
+}
+
+/**
+ * Reads the sheet link a comd-* block is authored with (its first cell).
+ * @param {HTMLElement} block - Block.
+ * @returns {string} Relative sheet URL, or ''.
+ */
+export function getSheetSource(block) {
+  return toRelativeUrl(block.querySelector(':scope > div > div')?.textContent);
+}
+
+/**
+ * Fetches the records of a sheet. Concurrent and later calls for the same URL share one
+ * request; a failed request is forgotten, so the next call tries again.
+ * @param {string} url - Sheet JSON URL.
+ * @returns {Promise<Array<Object>>} Records.
+ * @throws {Error} If the sheet cannot be loaded.
+ */
+export function fetchSheet(url) {
+  if (!sheetRequests.has(url)) {
+    const request = fetch(url, {
+      credentials: 'include',
+      headers: { Accept: 'application/json' },
+    })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to fetch ${url}`);
+        return response.json();
+      })
+      .then((payload) => (Array.isArray(payload?.data) ? payload.data : []));
+    request.catch(() => sheetRequests.delete(url));
+    sheetRequests.set(url, request);
+  }
+  return sheetRequests.get(url);
+}
+
+/**
+ * Fetches the records of a sheet linked in an optional config row. A row left out, or a
+ * sheet that cannot be loaded, reads as no records, so the rest of a block still renders.
+ * @param {string|Array<string>} [link] - Config row value (its first link is used).
+ * @returns {Promise<Array<Object>>} Records.
+ */
+export async function fetchOptionalSheet(link) {
+  const source = toRelativeUrl([link].flat()[0]);
+  if (!source) return [];
+  try {
+    return await fetchSheet(source);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Picks the records of one or more communities: those whose `name` has one of the slugs.
+ * Without a slug (outside community pages), every record is kept.
+ * @param {Array<Object>} records - Sheet records.
+ * @param {string|Array<string>} [slugs] - Community slug(s); defaults to the page's.
+ * @returns {Array<Object>} Matching records.
+ */
+export function filterCommunityRecords(records, slugs = getCommunitySlug()) {
+  const wanted = [slugs].flat().filter(Boolean);
+  if (!wanted.length) return records;
+  return records.filter((record) => wanted.includes(normalizeKey(record.name)));
+}
+
+/**
+ * Finds the record describing a community.
+ * @param {Array<Object>} records - Sheet records.
+ * @param {string} [slug] - Community slug; defaults to the page's.
+ * @returns {Object|null} Record, or null if no community has the slug.
+ */
+export function resolveCommunity(records, slug = getCommunitySlug()) {
+  if (!slug) return null;
+  return records.find((record) => normalizeKey(record.name) === slug) || null;
+}
+
+/**
+ * Scores how close a slug is to a record's name or title, from 0 (one contains the
+ * other) to 1 (nothing in common).
+ */
+function getDistance(record, slug) {
+  return Math.min(...[record.name, record.title].map(normalizeKey).filter(Boolean).map((key) => {
+    if (key.includes(slug) || slug.includes(key)) return 0;
+    return editDistance(key, slug) / Math.max(key.length, slug.length);
+  }), 1);
+}
+
+/**
+ * Lists the communities a slug that matched nothing was probably meant to be, closest
+ * first, e.g. for a mistyped link.
+ * @param {Array<Object>} records - Details sheet records.
+ * @param {string} slug - Community slug.
+ * @param {number} [limit] - Most suggestions to return.
+ * @returns {Array<Object>} Records.
+ */
+export function findCloseCommunities(records, slug, limit = 3) {
+  if (!slug) return [];
+  return records
+    .filter((record) => normalizeKey(record.name))
+    .map((record) => ({ record, distance: getDistance(record, slug) }))
+    .filter(({ distance }) => distance <= 0.5)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ record }) => record);
+}
+
+/** Trims a cell to a string; blank cells and a lone 0 read as ''. */
+function text(value) {
+  const str = value == null ? '' : String(value).trim();
+  return str === '0' ? '' : str;
+}
+
+/**
+ * @typedef {Object} CommunityDetails
+ * @property {string} name - Community name (its key in the other sheets).
+ * @property {string} title - Display title.
+ * @property {string} description - Description.
+ * @property {string} icon - Icon name.
+ * @property {string} leads - Community leads.
+ * @property {Array<string>} tags - Focus areas, from the `focus` and `tag` columns.
+ * @property {number} members - Member count (0 if unknown).
+ */
+
+/**
+ * Reads a record of the details sheet.
+ * @param {Object} record - Sheet record.
+ * @returns {CommunityDetails} Details.
+ */
+export function getCommunityDetails(record) {
+  return {
+    name: text(record.name),
+    title: text(record.title),
+    description: text(record.description),
+    icon: normalizeKey(record.name) || 'community-link',
+    leads: text(record.leads),
+    tags: splitTags([record.focus, record.tag].map(text).filter(Boolean).join(',')),
+    members: parseInt(record.members, 10) || 0,
+  };
+}
+
+/**
+ * @typedef {Object} CommunityEvent
+ * @property {string} name - Community name.
+ * @property {string} title - Event title.
+ * @property {string|number} date - Start (date string or Excel serial).
+ * @property {string} endTime - End date-time or time of day.
+ * @property {string} duration - Duration, e.g. "45 min".
+ * @property {string} timezone - Source timezone.
+ * @property {string} description - Description.
+ * @property {string} link - Meeting link.
+ * @property {string} speaker - Speaker names.
+ * @property {string} tag - Tags.
+ * @property {Object} [recurrenceRule] - Rule of a recurring occurrence.
+ */
+
+/**
+ * Reads a record of the events sheet (after recurring series are expanded).
+ * @param {Object} record - Sheet record.
+ * @returns {CommunityEvent} Event.
+ */
+export function getCommunityEvent(record) {
+  return {
+    name: text(record.name),
+    title: text(record.title),
+    date: record.date ?? '',
+    endTime: text(record.endTime),
+    duration: text(record.duration),
+    timezone: text(record.timezone),
+    description: text(record.description),
+    link: text(record.link),
+    speaker: text(record.speaker),
+    tag: text(record.tag),
+    recurrenceRule: record.recurrenceRule,
+  };
+}
+
+/**
+ * @typedef {Object} CommunityRecording
+ * @property {string} name - Community name.
+ * @property {string} title - Recording title.
+ * @property {string|number} date - Date (date string or Excel serial).
+ * @property {string} description - Description.
+ * @property {string} link - Recording link.
+ * @property {string} speaker - Speaker names.
+ * @property {string} tag - Tags.
+ */
+
+/**
+ * Reads a record of the recordings sheet.
+ * @param {Object} record - Sheet record.
+ * @returns {CommunityRecording} Recording.
+ */
+export function getCommunityRecording(record) {
+  return {
+    name: text(record.name),
+    title: text(record.title),
+    date: record.date ?? '',
+    description: text(record.description),
+    link: text(record.link),
+    speaker: text(record.speaker),
+    tag: text(record.tag),
+  };
+}
+
+/**
+ * @typedef {Object} CommunityResource
+ * @property {string} name - Community name.
+ * @property {string} title - Resource title.
+ * @property {string|number} date - Date (date string or Excel serial).
+ * @property {string} description - Description.
+ * @property {string} link - Resource link.
+ * @property {string} type - Kind of resource, e.g. "Playbook".
+ */
+
+/**
+ * Reads a record of the resources sheet; the kind comes from the first of the `type`,
+ * `category`, `format` and `resourceType` columns that is filled in.
+ * @param {Object} record - Sheet record.
+ * @returns {CommunityResource} Resource.
+ */
+export function getCommunityResource(record) {
+  return {
+    name: text(record.name),
+    title: text(record.title),
+    date: record.date ?? '',
+    description: text(record.description),
+    link: text(record.link),
+    type: [record.type, record.category, record.format, record.resourceType]
+      .map(text)
+      .find(Boolean) || '',
+  };
+}
+
+/**
+ * @typedef {Object} CommunityRole
+ * @property {string} name - Community name.
+ * @property {string} role - Role, e.g. "Community Lead".
+ * @property {string} person - Person in the role.
+ */
+
+/**
+ * Reads a record of the roles sheet.
+ * @param {Object} record - Sheet record.
+ * @returns {CommunityRole} Role.
+ */
+export function getCommunityRole(record) {
+  return {
+    name: text(record.name),
+    role: text(record.role),
+    person: text(record.emp),
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * "Join" action for community cards: opens the join form (a form block) in a modal,
+ * prefilled with the community, and remembers sent requests in localStorage so the card
+ * keeps showing "Request sent".
+ */
+
+import { buildBlock, decorateBlock, loadBlock } from './aem.js';
+import { createModal } from '../blocks/modal/modal.js';
+import { normalizeKey, toRelativeUrl } from './community-data.js';
+
+/** localStorage key of the communities a join request was sent for (by slug). */
+const JOIN_STORAGE_KEY = 'community-join-requests';
+
+/** Reads the slugs of communities with a sent request; storage may be unavailable. */
+function readJoinRequests() {
+  try {
+    const sent = JSON.parse(localStorage.getItem(JOIN_STORAGE_KEY) || '[]');
+    return new Set(Array.isArray(sent) ? sent : []);
+  } catch {
+    return new Set();
+  }
+}
+
+function writeJoinRequests(sent) {
+  try {
+    localStorage.setItem(JOIN_STORAGE_KEY, JSON.stringify([...sent]));
+  } catch {
+    /* the request then only shows as sent for this page view */
+  }
+}
+
+/**
+ * Checks whether a join request was sent for a community from this browser.
+ * @param {string} name - Community name.
+ * @returns {boolean} Whether a request was sent.
+ */
+export function hasJoinRequest(name) {
+  return readJoinRequests().has(normalizeKey(name));
+}
+
+/** Shows a join button as sent: it stays visible but can no longer be used. */
+function setJoinSent(button, label) {
+  button.disabled = true;
+  button.classList.add('is-sent');
+  button.textContent = 'Request sent';
+  button.setAttribute('aria-label', `Request to join ${label} sent`);
+}
+
+/**
+ * Opens the join form in a modal. The form block gets the community as the `community`
+ * query parameter, so form rules (and fields of that name) are prefilled with it.
+ * @param {string} formUrl - Form link, as authored.
+ * @param {string} name - Community name.
+ * @param {function(): void} onSent - Called once the form was submitted.
+ */
+async function openJoinForm(formUrl, name, onSent) {
+  const link = document.createElement('a');
+  link.href = toRelativeUrl(formUrl);
+  const formBlock = buildBlock('form', [[link]]);
+  formBlock.dataset.queryParams = new URLSearchParams({ community: name }).toString();
+  const wrapper = document.createElement('div');
+  wrapper.append(formBlock);
+  decorateBlock(formBlock);
+
+  const { showModal } = await createModal([wrapper]);
+  wrapper.addEventListener('form:submitted', () => {
+    const sent = readJoinRequests();
+    sent.add(normalizeKey(name));
+    writeJoinRequests(sent);
+    onSent();
+  }, { once: true });
+  showModal();
+  await loadBlock(formBlock);
+}
+
+/**
+ * Builds the "Join" button of a community card. Once the join form is submitted, the
+ * button (and any later one for the community) shows "Request sent".
+ * @param {string} formUrl - Join form link.
+ * @param {{name: string, title: string}} community - Community (see `getCommunityDetails`).
+ * @param {string} className - Class of the button.
+ * @returns {HTMLButtonElement} Button.
+ */
+export function buildJoinButton(formUrl, { name, title }, className) {
+  const label = title || name;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = 'Join';
+  button.setAttribute('aria-label', `Join ${label}`);
+  if (hasJoinRequest(name)) {
+    setJoinSent(button, label);
+    return button;
+  }
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await openJoinForm(formUrl, name, () => setJoinSent(button, label));
+    } finally {
+      if (!button.classList.contains('is-sent')) button.disabled = false;
+    }
+  });
+  return button;
+}
@@ -1 +1,4 @@
 // add delayed functionality here
+import { registerSearchCache } from './search-cache.js';
+
+registerSearchCache();
@@ -0,0 +1,140 @@
+/**
+ * Live state of events: upcoming → starting soon → live → ended, worked out from the start
+ * and end (or duration) of each event and kept current by one shared timer, so cards
+ * switch state and count down without reloading.
+ */
+
+import { DEFAULT_DURATION_MINUTES } from './calendar.js';
+import { getZonedParts, parseZonedDate, VIEWER_TIME_ZONE } from './timezones.js';
+
+export const EVENT_STATUS = {
+  UPCOMING: 'upcoming',
+  SOON: 'soon',
+  LIVE: 'live',
+  ENDED: 'ended',
+};
+
+/** How long before the start an event counts as starting soon. */
+export const STARTING_SOON_MINUTES = 15;
+
+const MINUTE = 60 * 1000;
+const TICK_INTERVAL = 1000;
+
+/**
+ * Works out when an event ends: its end time, else its start plus its duration (one hour
+ * by default). Date-only events last the whole day in their source zone.
+ * @param {Date} start - Event start.
+ * @param {Object} [options]
+ * @param {string|number} [options.endTime] - End cell: a date-time, or a time of day
+ *   ("19:30") on the start's day.
+ * @param {number} [options.durationMinutes] - Duration used without an end time.
+ * @param {boolean} [options.dateOnly] - The event has no time of day.
+ * @param {string} [options.timeZone] - Source IANA zone.
+ * @returns {Date|null} End, or null without a start.
+ */
+export function getEventEnd(start, {
+  endTime = '', durationMinutes = 0, dateOnly = false, timeZone = '',
+} = {}) {
+  if (!start) return null;
+  const zone = timeZone || VIEWER_TIME_ZONE;
+  const day = getZonedParts(start, zone);
+  const dayKey = [day.year, day.month, day.day].map((n) => String(n).padStart(2, '0')).join('-');
+  if (dateOnly) {
+    const next = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+    return parseZonedDate(next.toISOString().slice(0, 10), zone);
+  }
+  const text = String(endTime ?? '').trim();
+  const end = /^\d{1,2}:\d{2}$/.test(text)
+    ? parseZonedDate(`${dayKey}T${text.padStart(5, '0')}`, zone)
+    : text && text !== '0' && parseZonedDate(text, zone);
+  if (end && end > start) return end;
+  return new Date(start.getTime() + (durationMinutes || DEFAULT_DURATION_MINUTES) * MINUTE);
+}
+
+/**
+ * Returns the state of an event at a time.
+ * @param {Date} start - Event start.
+ * @param {Date} end - Event end.
+ * @param {Date} [now] - Reference time.
+ * @returns {string} One of `EVENT_STATUS`.
+ */
+export function getEventStatus(start, end, now = new Date()) {
+  if (!start) return EVENT_STATUS.ENDED;
+  if (now >= (end || start)) return EVENT_STATUS.ENDED;
+  if (now >= start) return EVENT_STATUS.LIVE;
+  if (start - now <= STARTING_SOON_MINUTES * MINUTE) return EVENT_STATUS.SOON;
+  return EVENT_STATUS.UPCOMING;
+}
+
+/**
+ * Formats a duration as its two largest units, e.g. "2d 4h", "1h 05m" or "4m 30s".
+ * @param {number} ms - Duration in ms.
+ * @returns {string} Duration.
+ */
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${pad(minutes)}m`;
+  return `${minutes}m ${pad(seconds)}s`;
+}
+
+/**
+ * Describes the time left for an event, e.g. "Starts in 2h 05m" or "Ends in 12m 30s".
+ * @param {string} status - One of `EVENT_STATUS`.
+ * @param {Date} start - Event start.
+ * @param {Date} end - Event end.
+ * @param {Date} [now] - Reference time.
+ * @returns {string} Countdown, or '' once the event has ended.
+ */
+export function getCountdownText(status, start, end, now = new Date()) {
+  if (status === EVENT_STATUS.LIVE) return `Ends in ${formatCountdown(end - now)}`;
+  if (status === EVENT_STATUS.ENDED) return '';
+  return `Starts in ${formatCountdown(start - now)}`;
+}
+
+/* One timer drives every watched event; it stops when nothing is left to watch */
+const watched = new Set();
+let timer = null;
+
+function tick() {
+  const now = new Date();
+  watched.forEach((entry) => {
+    if (entry.element.isConnected) entry.connected = true;
+    else if (entry.connected) {
+      // the element was removed (e.g. the list re-rendered)
+      watched.delete(entry);
+      return;
+    }
+    const status = getEventStatus(entry.start, entry.end, now);
+    entry.update(status, now);
+    if (status === EVENT_STATUS.ENDED) watched.delete(entry);
+  });
+  if (!watched.size) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Keeps an event element up to date: `update` is called right away and then every second
+ * with the current state, until the event ends or the element leaves the page.
+ * @param {HTMLElement} element - Element showing the event.
+ * @param {Date} start - Event start.
+ * @param {Date} end - Event end.
+ * @param {function(string, Date): void} update - Receives the state and the current time.
+ */
+export function watchEventStatus(element, start, end, update) {
+  const now = new Date();
+  const status = getEventStatus(start, end, now);
+  update(status, now);
+  if (status === EVENT_STATUS.ENDED) return;
+  watched.add({
+    element, start, end, update, connected: element.isConnected,
+  });
+  if (!timer) timer = setInterval(tick, TICK_INTERVAL);
+}
@@ -0,0 +1,137 @@
+/**
+ * Events sheet data shared by the events and events-calendar blocks: fetching the sheet,
+ * expanding and parsing its rows, and turning rows into calendar events.
+ */
+
+import { getRowAnchorId } from './anchors.js';
+import { parseDuration, toCalendarEvent } from './calendar.js';
+import { EVENT_STATUS, getEventEnd, getEventStatus } from './event-status.js';
+import { expandRecurringRows } from './recurrence.js';
+import { isEmptyField, isSafeUrl, normalizeField } from './sheet-fields.js';
+import { isDateOnly, parseZonedDate, resolveTimeZone } from './timezones.js';
+
+const EVENTS_SHEET_PATH = '/forms/events-form/events.json?sheet=events';
+const EVENTS_SHEET_ORIGIN = 'https://main--tech-council--aemsites.aem.page';
+
+function getEventsSheetUrl() {
+  const { origin } = window.location;
+  if (origin === EVENTS_SHEET_ORIGIN) {
+    return `${origin}${EVENTS_SHEET_PATH}`;
+  }
+  return EVENTS_SHEET_PATH;
+}
+
+/**
+ * Fetches the events sheet.
+ * @returns {Promise<Array<Object>>} Rows, or an empty array if the sheet is unavailable.
+ */
+export async function fetchEventsData() {
+  try {
+    const resp = await fetch(getEventsSheetUrl(), {
+      credentials: 'include',
+      headers: { Accept: 'application/json' },
+    });
+    if (!resp.ok) return [];
+    const json = await resp.json();
+    return Array.isArray(json?.data) ? json.data : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Parses a row's `dateTime` in its source timezone: the row's `timezone` column, else the
+ * block's "Timezone" config, else the viewer's zone. The end comes from the `endTime`
+ * column, else the `duration` column (see scripts/event-status.js).
+ * @param {Object} row - Event row.
+ * @param {string} blockTimeZone - Zone from the block config.
+ * @returns {Object} Row with `parsedDate`, `endDate`, `timeZone` and `dateOnly`.
+ */
+function parseEventRow(row, blockTimeZone = '') {
+  const timeZone = resolveTimeZone(row.timezone) || blockTimeZone;
+  const parsedDate = isEmptyField(row.dateTime) ? null : parseZonedDate(row.dateTime, timeZone);
+  const dateOnly = isDateOnly(row.dateTime);
+  return {
+    ...row,
+    parsedDate,
+    endDate: getEventEnd(parsedDate, {
+      endTime: row.endTime,
+      durationMinutes: parseDuration(row.duration),
+      dateOnly,
+      timeZone,
+    }),
+    timeZone,
+    dateOnly,
+  };
+}
+
+/** An event stays upcoming (listed first, joinable) until it ends. */
+export function isUpcomingRow(row, now = new Date()) {
+  return getEventStatus(row.parsedDate, row.endDate, now) !== EVENT_STATUS.ENDED;
+}
+
+/**
+ * Anchor id of an event's card on the events page, as linked from search and calendars.
+ * @param {Object} row - Event row.
+ * @returns {string} Anchor id, or '' for untitled rows.
+ */
+export function getEventAnchorId(row) {
+  return getRowAnchorId(normalizeField(row.title), row.dateTime);
+}
+
+/**
+ * Converts an event row to a calendar event (see scripts/calendar.js). The meeting link
+ * becomes the event URL and a link back to the event's card is added to the details.
+ * @param {Object} row - Event row with `parsedDate`.
+ * @returns {Object|null} Calendar event, or null for undated rows.
+ */
+export function getCalendarEvent(row) {
+  const speaker = normalizeField(row.speaker);
+  const meetingLink = normalizeField(row.meetingLink);
+  const anchorId = getEventAnchorId(row);
+  const pageUrl = `${window.location.origin}${window.location.pathname}`;
+  return toCalendarEvent({
+    title: normalizeField(row.title),
+    start: row.parsedDate,
+    end: row.endDate,
+    allDay: row.dateOnly,
+    timeZone: row.timeZone,
+    description: [
+      speaker && `Speaker: ${speaker}`,
+      `Details: ${anchorId ? `${pageUrl}#${anchorId}` : pageUrl}`,
+    ].filter(Boolean).join('\n'),
+    location: normalizeField(row.meetingRoom),
+    url: isSafeUrl(meetingLink) ? meetingLink : '',
+    uid: anchorId,
+  });
+}
+
+/**
+ * Expands recurring series (see scripts/recurrence.js) and parses every row.
+ * @param {Array<Object>} data - Sheet rows.
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Zone from the block config.
+ * @param {number} [options.lookbackDays] - Days before today to expand series into.
+ * @param {number} [options.lookaheadDays] - Days after today to expand series into.
+ * @returns {Array<Object>} Parsed event rows, one per occurrence.
+ */
+export function getEventRows(data, { timeZone = '', lookbackDays, lookaheadDays } = {}) {
+  return expandRecurringRows(data, {
+    dateField: 'dateTime', timeZone, lookbackDays, lookaheadDays,
+  }).map((row) => parseEventRow(row, timeZone));
+}
+
+/**
+ * Anchor id to link to an event row from elsewhere (e.g. search). A recurring series has
+ * no card of its own, so links go to its next occurrence, or its latest one once it is over.
+ * @param {Object} row - Sheet row.
+ * @returns {string} Anchor id, or '' for untitled rows.
+ */
+export function getEventLinkAnchorId(row) {
+  const occurrences = getEventRows([row]).filter((occurrence) => occurrence.parsedDate);
+  const now = new Date();
+  const [next] = occurrences.filter((occurrence) => isUpcomingRow(occurrence, now))
+    .sort((a, b) => a.parsedDate - b.parsedDate);
+  const [latest] = occurrences.sort((a, b) => b.parsedDate - a.parsedDate);
+  return getEventAnchorId(next || latest || row);
+}
@@ -0,0 +1,184 @@
+/**
+ * Highlights the terms of the `highlight` query parameter on a page and adds a
+ * floating navigator to step through the matches.
+ * Words and "quoted phrases" are highlighted separately, each term in its own colour.
+ */
+
+// number of distinct highlight colours defined in lazy-styles.css
+const HIGHLIGHT_COLORS = 5;
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'SVG'];
+
+/**
+ * Splits a highlight parameter into terms: "quoted phrases" and single words.
+ * @param {string} value - Raw parameter value.
+ * @returns {Array<string>} Distinct terms, longest first so phrases win over their words.
+ */
+export function parseHighlightTerms(value) {
+  // URLSearchParams decodes %XX, but not '+', so treat '+' as space defensively
+  const text = String(value || '').replace(/\+/g, ' ');
+  const terms = [...text.matchAll(/"([^"]+)"|(\S+)/g)]
+    .map(([, phrase, word]) => (phrase || word).trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  const unique = [...new Map(terms.map((term) => [term.toLowerCase(), term])).values()];
+  return unique.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Wraps every occurrence of the terms in text nodes under root.
+ * Safely walks text nodes (no innerHTML replacement).
+ * @param {Element} root - Container to highlight within.
+ * @param {Array<string>} terms - Terms to highlight.
+ * @returns {Array<HTMLElement>} Highlights, in document order.
+ */
+function highlightTerms(root, terms) {
+  // Escape regex special characters to match literal input
+  const pattern = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const regex = new RegExp(pattern, 'gi');
+  const lowerTerms = terms.map((term) => term.toLowerCase());
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || SKIPPED_TAGS.includes(parent.tagName) || parent.closest('.hlx-highlight, .hlx-highlight-nav')) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      // Using test will advance lastIndex when global; reset immediately after
+      const hasMatch = regex.test(node.nodeValue);
+      regex.lastIndex = 0;
+      return hasMatch ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+    },
+  });
+  // collect first, replacing nodes while walking would break the walker
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  const highlights = [];
+  nodes.forEach((node) => {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    [...text.matchAll(regex)].forEach((match) => {
+      const [matched] = match;
+      if (match.index > lastIndex) {
+        fragment.append(text.slice(lastIndex, match.index));
+      }
+      const termIndex = Math.max(0, lowerTerms.indexOf(matched.toLowerCase()));
+      const span = document.createElement('span');
+      span.className = `hlx-highlight hlx-highlight-${(termIndex % HIGHLIGHT_COLORS) + 1}`;
+      span.dataset.term = termIndex;
+      span.textContent = matched;
+      fragment.append(span);
+      highlights.push(span);
+      lastIndex = match.index + matched.length;
+    });
+    if (lastIndex < text.length) fragment.append(text.slice(lastIndex));
+    node.replaceWith(fragment);
+  });
+  return highlights;
+}
+
+/**
+ * Removes highlights, restoring the original text nodes.
+ * @param {Array<HTMLElement>} highlights - Highlights to remove.
+ */
+function removeHighlights(highlights) {
+  highlights.forEach((span) => {
+    const parent = span.parentNode;
+    if (!parent) return;
+    span.replaceWith(span.textContent);
+    parent.normalize();
+  });
+}
+
+/**
+ * Checks whether a keyboard event comes from a field the user is typing in.
+ * @param {KeyboardEvent} e - Keyboard event.
+ * @returns {boolean} Whether the event target accepts text input.
+ */
+function isTyping(e) {
+  return e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+}
+
+/**
+ * Builds the floating "3 of 12 ▲▼ ✕" navigator for a set of highlights.
+ * Keyboard shortcuts: `n` next, `Shift+N` previous, `Escape` close.
+ * @param {Array<HTMLElement>} highlights - Highlights to navigate.
+ * @param {boolean} scrollToFirst - Whether to jump to a match right away. The first match
+ * of the longest (most specific) term is shown first.
+ */
+function buildNavigator(highlights, scrollToFirst) {
+  const nav = document.createElement('div');
+  nav.className = 'hlx-highlight-nav';
+  nav.setAttribute('role', 'toolbar');
+  nav.setAttribute('aria-label', 'Search matches on this page');
+  nav.innerHTML = `
+    <span class="hlx-highlight-nav-count" aria-live="polite"></span>
+    <button type="button" class="hlx-highlight-nav-prev" aria-label="Previous match (Shift+N)">▲</button>
+    <button type="button" class="hlx-highlight-nav-next" aria-label="Next match (N)">▼</button>
+    <button type="button" class="hlx-highlight-nav-close" aria-label="Clear highlights (Esc)">✕</button>
+  `;
+  const count = nav.querySelector('.hlx-highlight-nav-count');
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  let current = -1;
+
+  const show = (index) => {
+    highlights[current]?.classList.remove('is-current');
+    current = (index + highlights.length) % highlights.length;
+    highlights[current].classList.add('is-current');
+    highlights[current].scrollIntoView({ behavior: prefersReducedMotion ? 'auto' : 'smooth', block: 'center' });
+    count.textContent = `${current + 1} of ${highlights.length}`;
+  };
+
+  // removes the keyboard shortcuts once the navigator is closed
+  const shortcuts = new AbortController();
+
+  const close = () => {
+    shortcuts.abort();
+    removeHighlights(highlights);
+    nav.remove();
+    // drop the parameter so a reload does not bring the highlights back
+    const url = new URL(window.location.href);
+    url.searchParams.delete('highlight');
+    window.history.replaceState(window.history.state, '', url.toString());
+  };
+
+  const onKeydown = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e)) return;
+    if (e.key === 'n' || e.key === 'N') {
+      e.preventDefault();
+      show(current + (e.shiftKey ? -1 : 1));
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  nav.querySelector('.hlx-highlight-nav-prev').addEventListener('click', () => show(current - 1));
+  nav.querySelector('.hlx-highlight-nav-next').addEventListener('click', () => show(current + 1));
+  nav.querySelector('.hlx-highlight-nav-close').addEventListener('click', close);
+  document.addEventListener('keydown', onKeydown, { signal: shortcuts.signal });
+  document.body.append(nav);
+
+  if (scrollToFirst) {
+    show(Math.max(0, highlights.findIndex((span) => span.dataset.term === '0')));
+  } else {
+    count.textContent = `${highlights.length} ${highlights.length === 1 ? 'match' : 'matches'}`;
+  }
+}
+
+/**
+ * Highlights occurrences of the `highlight` query parameter in the given root element
+ * and shows a navigator to jump between them. Scrolls to the first highlight if there
+ * is no location hash.
+ * @param {Element} root The container element within which to highlight
+ */
+export function highlightFromQuery(root) {
+  try {
+    const terms = parseHighlightTerms(new URLSearchParams(window.location.search).get('highlight'));
+    if (!root || !terms.length) return;
+    const highlights = highlightTerms(root, terms);
+    if (highlights.length) buildNavigator(highlights, !window.location.hash);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Highlighting failed:', e);
+  }
+}
@@ -0,0 +1,345 @@
+/**
+ * Recurring event series in the events sheets. A row with a `recurrence` rule stands for
+ * every occurrence of the series; the rule is a subset of the iCalendar RRULE, e.g.
+ * "FREQ=WEEKLY;BYDAY=TU", "FREQ=MONTHLY;BYDAY=2TH;UNTIL=2026-12-31", or simply "weekly".
+ * Occurrences keep the wall-clock time of the first one in the row's source timezone.
+ *
+ * Single occurrences are changed with extra rows:
+ * - `cancelledDates` on the series row lists dates to skip ("2026-03-10, 2026-03-24");
+ * - a row with `recurrenceId` (the original date of an occurrence) replaces that occurrence.
+ *   Its non-empty columns override the series row, and a `status` of "cancelled" drops it.
+ *   It belongs to the series with the same title, or the title in its `series` column;
+ *   when several series share that title, to the one occurring on its `recurrenceId`.
+ */
+
+import {
+  getZonedParts, isDateOnly, parseZonedDate, resolveTimeZone, VIEWER_TIME_ZONE,
+} from './timezones.js';
+
+/** Default window of expanded occurrences, around today. */
+export const RECURRENCE_LOOKBACK_DAYS = 30;
+export const RECURRENCE_LOOKAHEAD_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Periods expanded at most per series, so a broken rule cannot loop for long. */
+const MAX_PERIODS = 500;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const FREQUENCY_ALIASES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  fortnightly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY',
+  yearly: 'FREQ=YEARLY',
+  annually: 'FREQ=YEARLY',
+};
+
+/** RRULE weekday codes, indexed like `Date#getUTCDay`. */
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** A cell counts as empty when it's blank or a lone 0, like elsewhere in the sheets. */
+function hasValue(value) {
+  return value != null && String(value).trim() !== '' && String(value).trim() !== '0';
+}
+
+/**
+ * Parses a `recurrence` cell. Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * COUNT, UNTIL (a date), BYDAY (e.g. "MO,WE", or "2TH" / "-1FR" for monthly rules) and
+ * BYMONTHDAY; an "RRULE:" prefix and plain words such as "weekly" are accepted too.
+ * @param {string} value - Recurrence cell.
+ * @returns {Object|null} Rule, or null if the value is empty or has no known frequency.
+ */
+export function parseRecurrence(value) {
+  if (!hasValue(value)) return null;
+  const text = String(value).trim().replace(/^rrule:/i, '');
+  const source = FREQUENCY_ALIASES[text.toLowerCase()] || text;
+  const fields = Object.fromEntries(source.split(';').map((part) => {
+    const [key, ...rest] = part.split('=');
+    return [key.trim().toUpperCase(), rest.join('=').trim()];
+  }));
+  const freq = (fields.FREQ || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) return null;
+
+  const until = (fields.UNTIL || '').replace(/-/g, '').match(/^(\d{4})(\d{2})(\d{2})/);
+  const byDay = (fields.BYDAY || '').split(',').map((day) => {
+    const match = day.trim().toUpperCase().match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+    const weekday = match ? WEEKDAYS.indexOf(match[2]) : -1;
+    return weekday < 0 ? null : { weekday, ordinal: Number(match[1] || 0) };
+  }).filter(Boolean);
+  const byMonthDay = (fields.BYMONTHDAY || '').split(',')
+    .map((day) => Number(day))
+    .filter((day) => Number.isInteger(day) && day !== 0 && Math.abs(day) <= 31);
+
+  return {
+    freq,
+    interval: Math.max(1, parseInt(fields.INTERVAL, 10) || 1),
+    count: Math.max(0, parseInt(fields.COUNT, 10) || 0),
+    until: until ? Date.UTC(Number(until[1]), Number(until[2]) - 1, Number(until[3])) : null,
+    byDay,
+    byMonthDay,
+  };
+}
+
+/** Ordinal of a number as a word, e.g. "2nd"; -1 is "last". */
+function toOrdinal(n) {
+  if (n === -1) return 'last';
+  if (n < 0) return `${toOrdinal(-n)} to last`;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10 > 3 || Math.floor(n / 10) === 1 ? 0 : n % 10];
+  return `${n}${suffix || 'th'}`;
+}
+
+/**
+ * Describes a rule for people, e.g. "Weekly on Tue", "Every 2 weeks" or
+ * "Monthly on the 2nd Thu".
+ * @param {Object} rule - Rule from `parseRecurrence`.
+ * @returns {string} Description.
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return '';
+  const units = {
+    DAILY: ['Daily', 'days'],
+    WEEKLY: ['Weekly', 'weeks'],
+    MONTHLY: ['Monthly', 'months'],
+    YEARLY: ['Yearly', 'years'],
+  };
+  const [single, plural] = units[rule.freq];
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${plural}` : single;
+  const days = rule.byDay.map(({ weekday, ordinal }) => (ordinal
+    ? `the ${toOrdinal(ordinal)} ${WEEKDAY_NAMES[weekday]}`
+    : WEEKDAY_NAMES[weekday]));
+  if (days.length) return `${every} on ${days.join(', ')}`;
+  if (rule.freq === 'MONTHLY' && rule.byMonthDay.length) {
+    const monthDays = rule.byMonthDay.map((day) => (day < 0 ? `${toOrdinal(day)} day` : day));
+    return `${every} on day ${monthDays.join(', ')}`;
+  }
+  return every;
+}
+
+/** Days (UTC midnights) in a month that match a monthly rule. */
+function getMonthDays(rule, year, month, startDay) {
+  const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const first = Date.UTC(year, month, 1);
+  const days = [];
+  if (rule.byDay.length) {
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matches = [];
+      for (let day = 0; day < length; day += 1) {
+        if (new Date(first + day * DAY).getUTCDay() === weekday) matches.push(first + day * DAY);
+      }
+      const match = ordinal && matches.at(ordinal > 0 ? ordinal - 1 : ordinal);
+      if (!ordinal) days.push(...matches);
+      else if (match !== undefined) days.push(match);
+    });
+  } else {
+    const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [new Date(startDay).getUTCDate()];
+    monthDays.forEach((day) => {
+      const index = day > 0 ? day : length + day + 1;
+      if (index >= 1 && index <= length) days.push(first + (index - 1) * DAY);
+    });
+  }
+  return days;
+}
+
+/**
+ * Days (UTC midnights) of one period of a rule: the nth day, week, month or year after
+ * the start, counting in steps of the rule's interval.
+ */
+function getPeriodDays(rule, startDay, period) {
+  const start = new Date(startDay);
+  const step = period * rule.interval;
+  if (rule.freq === 'DAILY') return [startDay + step * DAY];
+  if (rule.freq === 'WEEKLY') {
+    // weeks start on Monday; without BYDAY the series repeats on the start's weekday
+    const weekStart = startDay - ((start.getUTCDay() + 6) % 7) * DAY + step * 7 * DAY;
+    const weekdays = rule.byDay.length
+      ? rule.byDay.map(({ weekday }) => weekday)
+      : [start.getUTCDay()];
+    return weekdays.map((weekday) => weekStart + ((weekday + 6) % 7) * DAY);
+  }
+  if (rule.freq === 'MONTHLY') {
+    const month = start.getUTCMonth() + step;
+    const year = start.getUTCFullYear() + Math.floor(month / 12);
+    return getMonthDays(rule, year, month % 12, startDay);
+  }
+  const year = start.getUTCFullYear() + step;
+  const day = Date.UTC(year, start.getUTCMonth(), start.getUTCDate());
+  // February 29 only recurs in leap years
+  return new Date(day).getUTCMonth() === start.getUTCMonth() ? [day] : [];
+}
+
+/** First period worth expanding for a window starting at `fromDay`. */
+function getFirstPeriod(rule, startDay, fromDay) {
+  // COUNT is counted from the first occurrence, so those series are expanded from the start
+  if (rule.count || fromDay <= startDay) return 0;
+  const start = new Date(startDay);
+  const from = new Date(fromDay);
+  const elapsed = {
+    DAILY: (fromDay - startDay) / DAY,
+    WEEKLY: (fromDay - startDay) / (7 * DAY),
+    MONTHLY: (from.getUTCFullYear() - start.getUTCFullYear()) * 12
+      + from.getUTCMonth() - start.getUTCMonth(),
+    YEARLY: from.getUTCFullYear() - start.getUTCFullYear(),
+  }[rule.freq];
+  return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+}
+
+/**
+ * Lists the days (UTC midnights) a series occurs on within a window of days.
+ * @param {Object} rule - Rule from `parseRecurrence`.
+ * @param {number} startDay - Day of the first occurrence.
+ * @param {number} fromDay - First day of the window.
+ * @param {number} toDay - Last day of the window.
+ * @returns {Array<number>} Occurrence days, in order.
+ */
+function getOccurrenceDays(rule, startDay, fromDay, toDay) {
+  const days = [];
+  let seen = 0;
+  let done = false;
+  const firstPeriod = getFirstPeriod(rule, startDay, fromDay);
+  for (let period = firstPeriod; !done && period < firstPeriod + MAX_PERIODS; period += 1) {
+    const candidates = [...new Set(getPeriodDays(rule, startDay, period))]
+      .filter((day) => day >= startDay)
+      .sort((a, b) => a - b);
+    for (let i = 0; !done && i < candidates.length; i += 1) {
+      const day = candidates[i];
+      seen += 1;
+      done = day > toDay || (rule.until !== null && day > rule.until)
+        || (rule.count > 0 && seen > rule.count);
+      if (!done && day >= fromDay) days.push(day);
+    }
+  }
+  return days;
+}
+
+/** Day (UTC midnight) of a date as seen in a zone. */
+function toZonedDay(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day);
+}
+
+/** Key of a day, e.g. "2026-03-10". */
+function toDayKey(day) {
+  return new Date(day).toISOString().slice(0, 10);
+}
+
+/** Days keys of a date cell listing one or more dates, read in a zone. */
+function toDayKeys(value, timeZone) {
+  if (!hasValue(value)) return [];
+  return String(value).split(/[,;]/)
+    .map((text) => parseZonedDate(text.trim(), timeZone))
+    .filter(Boolean)
+    .map((date) => toDayKey(toZonedDay(date, timeZone)));
+}
+
+/** Matches override rows to series by title, ignoring case and spacing. */
+function toSeriesKey(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Expands recurring rows into one row per occurrence within a window. Occurrence rows copy
+ * the series row with the date column set to the occurrence's wall-clock time (so they
+ * parse in the same source zone), and carry the rule as `recurrenceRule`.
+ * Rows without a rule are kept as they are, except cancelled overrides.
+ * @param {Array<Object>} rows - Sheet rows.
+ * @param {Object} options
+ * @param {string} options.dateField - Column with the (first) date, e.g. "dateTime".
+ * @param {string} [options.timeZone] - Source IANA zone of rows without a `timezone` column.
+ * @param {number} [options.lookbackDays] - Days before today to list past occurrences for.
+ * @param {number} [options.lookaheadDays] - Days after today to list occurrences for.
+ * @param {Date} [options.now] - Reference time.
+ * @returns {Array<Object>} Rows, with series replaced by their occurrences.
+ */
+export function expandRecurringRows(rows, {
+  dateField,
+  timeZone = '',
+  lookbackDays = RECURRENCE_LOOKBACK_DAYS,
+  lookaheadDays = RECURRENCE_LOOKAHEAD_DAYS,
+  now = new Date(),
+}) {
+  const from = new Date(now.getTime() - lookbackDays * DAY);
+  const to = new Date(now.getTime() + lookaheadDays * DAY);
+  const getZone = (row) => resolveTimeZone(row.timezone) || timeZone || VIEWER_TIME_ZONE;
+  // rows sharing a title are separate series; overrides go to the one occurring on their day
+  const series = [];
+  const seriesByTitle = new Map();
+  rows.forEach((row) => {
+    const rule = parseRecurrence(row.recurrence);
+    const start = rule && parseZonedDate(row[dateField], getZone(row));
+    if (!start) return;
+    const entry = {
+      row, rule, start, key: series.length,
+    };
+    const titleKey = toSeriesKey(row.title);
+    series.push(entry);
+    if (!seriesByTitle.has(titleKey)) seriesByTitle.set(titleKey, []);
+    seriesByTitle.get(titleKey).push(entry);
+  });
+  if (!series.length) return rows;
+  const seriesRows = new Set(series.map(({ row }) => row));
+
+  /** Series of an override: of those with its title, the one occurring on its original day. */
+  const findSeries = (row) => {
+    const title = hasValue(row.series) ? row.series : row.title;
+    const candidates = seriesByTitle.get(toSeriesKey(title)) || [];
+    return candidates.find((entry) => {
+      const zone = getZone(entry.row);
+      const [dayKey] = toDayKeys(row.recurrenceId, zone);
+      if (!dayKey) return false;
+      const day = Date.parse(dayKey);
+      return getOccurrenceDays(entry.rule, toZonedDay(entry.start, zone), day, day).length > 0;
+    }) || candidates[0] || null;
+  };
+
+  // override rows, keyed by series and original day
+  const overrides = new Map();
+  const result = [];
+  rows.forEach((row) => {
+    if (seriesRows.has(row)) return;
+    const target = hasValue(row.recurrenceId) && findSeries(row);
+    if (!target) {
+      result.push(row);
+      return;
+    }
+    const [dayKey] = toDayKeys(row.recurrenceId, getZone(target.row));
+    const seriesKey = target.key;
+    if (dayKey) overrides.set(`${seriesKey}|${dayKey}`, { seriesKey, dayKey, row });
+  });
+
+  series.forEach(({
+    row, rule, start, key,
+  }) => {
+    const zone = getZone(row);
+    const startParts = getZonedParts(start, zone);
+    const time = isDateOnly(row[dateField])
+      ? ''
+      : `T${[startParts.hour, startParts.minute, startParts.second]
+        .map((n) => String(n).padStart(2, '0')).join(':')}`;
+    const cancelled = new Set(toDayKeys(row.cancelledDates, zone));
+    const toOccurrence = (dayKey) => ({
+      ...row,
+      [dateField]: `${dayKey}${time}`,
+      recurrence: '',
+      cancelledDates: '',
+      recurrenceRule: rule,
+    });
+
+    const [startDay, fromDay, toDay] = [start, from, to].map((date) => toZonedDay(date, zone));
+    getOccurrenceDays(rule, startDay, fromDay, toDay)
+      .map(toDayKey)
+      .filter((dayKey) => !cancelled.has(dayKey) && !overrides.has(`${key}|${dayKey}`))
+      .forEach((dayKey) => result.push(toOccurrence(dayKey)));
+    // overrides are kept even outside the window: they may move an occurrence into it
+    overrides.forEach(({ seriesKey, dayKey, row: override }) => {
+      if (seriesKey !== key || cancelled.has(dayKey)) return;
+      if (String(override.status ?? '').trim().toLowerCase().startsWith('cancel')) return;
+      const changes = Object.fromEntries(Object.entries(override)
+        .filter(([field, value]) => hasValue(value) && field !== 'series'));
+      result.push({ ...toOccurrence(dayKey), ...changes });
+    });
+  });
+  return result;
+}
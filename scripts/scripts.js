@@ -13,92 +13,6 @@ import {
   sampleRUM,
 } from './aem.js';
 
-/**
- * Highlights occurrences of the `highlight` query parameter in the given root element.
- * Safely walks text nodes (no innerHTML replacement), handles spaces/special characters,
- * and scrolls to the first highlight if there is no location hash.
- * @param {Element} root The container element within which to highlight
- */
-function highlightFromQuery(root) {
-  try {
-    const params = new URLSearchParams(window.location.search);
-    let term = params.get('highlight');
-    if (!term) return;
-
-    // URLSearchParams decodes %XX, but not '+', so treat '+' as space defensively
-    term = term.replace(/\+/g, ' ').trim();
-    if (!term) return;
-
-    // Escape regex special characters to match literal input
-    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(escaped, 'gi');
-
-    const highlights = [];
-    const isSkippableContainer = (el) => {
-      if (!el) return true;
-      const tag = el.tagName;
-      return ['SCRIPT', 'STYLE', 'NOSCRIPT', 'IFRAME', 'OBJECT', 'EMBED', 'SVG'].includes(tag) ||
-        el.closest('.hlx-highlight');
-    };
-
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode(node) {
-          const parent = node.parentElement;
-          if (!parent || isSkippableContainer(parent)) return NodeFilter.FILTER_REJECT;
-          if (!node.nodeValue) return NodeFilter.FILTER_SKIP;
-          // Using test will advance lastIndex when global; reset immediately after
-          const hasMatch = regex.test(node.nodeValue);
-          regex.lastIndex = 0;
-          return hasMatch ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
-        },
-      },
-    );
-
-    const replacementSpans = [];
-    while (walker.nextNode()) {
-      const textNode = walker.currentNode;
-      const textContent = textNode.nodeValue;
-      if (!textContent) continue;
-
-      const fragment = document.createDocumentFragment();
-      let lastIndex = 0;
-      regex.lastIndex = 0;
-      let match;
-      while ((match = regex.exec(textContent))) {
-        const matchStart = match.index;
-        const matchEnd = match.index + match[0].length;
-        if (matchStart > lastIndex) {
-          fragment.appendChild(document.createTextNode(textContent.slice(lastIndex, matchStart)));
-        }
-        const span = document.createElement('span');
-        span.className = 'hlx-highlight';
-        span.style.backgroundColor = 'yellow';
-        span.textContent = match[0];
-        fragment.appendChild(span);
-        highlights.push(span);
-        replacementSpans.push(span);
-        lastIndex = matchEnd;
-      }
-      if (lastIndex < textContent.length) {
-        fragment.appendChild(document.createTextNode(textContent.slice(lastIndex)));
-      }
-      if (textNode.parentNode) {
-        textNode.parentNode.replaceChild(fragment, textNode);
-      }
-    }
-
-    if (highlights.length > 0 && !window.location.hash) {
-      highlights[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
-    }
-  } catch (e) {
-    // eslint-disable-next-line no-console
-    console.warn('Highlighting failed:', e);
-  }
-}
-
 /**
  * Builds hero block and prepends to main in a new section.
  * @param {Element} main The container element
@@ -173,6 +87,12 @@ async function loadEager(doc) {
   document.documentElement.lang = 'en';
   decorateTemplateAndTheme();
   const main = doc.querySelector('main');
+  // only legacy community links (/communities/details?name=) can redirect
+  if (main && window.location.pathname === '/communities/details'
+    && new URLSearchParams(window.location.search).has('name')) {
+    const { redirectLegacyCommunityUrl } = await import('./community-data.js');
+    if (redirectLegacyCommunityUrl()) return;
+  }
   if (main) {
     decorateMain(main);
     document.body.classList.add('appear');
@@ -225,7 +145,10 @@ async function loadLazy(doc) {
   })));
 
   // Highlight and optionally scroll to matches from ?highlight= query param
-  if (main) highlightFromQuery(main);
+  if (main && new URLSearchParams(window.location.search).has('highlight')) {
+    const { highlightFromQuery } = await import('./highlight.js');
+    highlightFromQuery(main);
+  }
 
   const { hash } = window.location;
   const element = hash ? doc.getElementById(hash.substring(1)) : false;
@@ -0,0 +1,75 @@
+import { sampleRUM } from './aem.js';
+
+/**
+ * RUM checkpoints emitted by the search blocks.
+ * Queries and zero-result queries carry the query as `target`;
+ * result clicks carry the 1-based position and query as `target` ("3 query text").
+ */
+export const SEARCH_CHECKPOINTS = {
+  query: 'search',
+  empty: 'nullsearch',
+  click: 'searchclick',
+};
+
+// wait for the user to stop typing before a query counts as searched
+const QUERY_SETTLE_DELAY = 1000;
+
+/**
+ * Normalizes a query so that the same search is always reported the same way.
+ * @param {string} query - Raw query.
+ * @returns {string} Lowercase query with collapsed whitespace.
+ */
+export function normalizeQuery(query) {
+  return String(query || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Creates a tracker that reports searches made in one search block to RUM.
+ * Queries are only reported once typing settles, and never twice in a row.
+ * @param {string} source - Selector of the reporting block, e.g. `.doc-search`.
+ * @returns {Object} Tracker with `query(query, count)` and `click(position)` methods.
+ */
+export function createSearchTracker(source) {
+  let timeout;
+  let pending = null;
+  let lastQuery = '';
+
+  const flush = () => {
+    clearTimeout(timeout);
+    if (!pending) return;
+    const [query, count] = pending;
+    pending = null;
+    if (query === lastQuery) return;
+    lastQuery = query;
+    sampleRUM(SEARCH_CHECKPOINTS.query, { source, target: query });
+    if (!count) sampleRUM(SEARCH_CHECKPOINTS.empty, { source, target: query });
+  };
+
+  return {
+    /**
+     * Records a query and how many results it returned.
+     * @param {string} query - Query as typed.
+     * @param {number} count - Number of results shown.
+     */
+    query(query, count) {
+      const normalized = normalizeQuery(query);
+      clearTimeout(timeout);
+      pending = null;
+      if (!normalized) {
+        lastQuery = ''; // a cleared search box starts a new search
+        return;
+      }
+      pending = [normalized, count];
+      timeout = setTimeout(flush, QUERY_SETTLE_DELAY);
+    },
+    /**
+     * Records a click on a result, reporting the pending query first.
+     * @param {number} position - 1-based position of the clicked result.
+     */
+    click(position) {
+      flush();
+      if (!lastQuery || !position) return;
+      sampleRUM(SEARCH_CHECKPOINTS.click, { source, target: `${position} ${lastQuery}` });
+    },
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Version of the search source cache. Bump it to drop every cached source on
+ * the next visit, e.g. after changing how sources are fetched or indexed.
+ */
+export const SEARCH_CACHE_VERSION = '1';
+
+// the worker must live at the root so its scope covers every search source
+const SEARCH_WORKER_PATH = '/search-sw.js';
+// query parameter flagging requests for the search worker, which strips it before fetching;
+// a parameter rather than a header, so cross-origin sources need no CORS preflight
+const SEARCH_SOURCE_PARAM = 'search-source';
+
+/**
+ * Registers the service worker that keeps search sources available offline
+ * and serves them instantly on repeat visits.
+ */
+export async function registerSearchCache() {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    await navigator.serviceWorker.register(`${SEARCH_WORKER_PATH}?v=${SEARCH_CACHE_VERSION}`, { scope: '/' });
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Search cache unavailable:', error);
+  }
+}
+
+/**
+ * Fetches a search source, flagging it for the search service worker.
+ * @param {string} url - Source URL.
+ * @param {boolean} [isIndex] - Whether this is the primary index. A new version of
+ * the primary index invalidates every other cached source.
+ * @returns {Promise<Response>} Response, from the cache when one is available.
+ */
+export function fetchSearchSource(url, isIndex = false) {
+  // until the worker controls the page, nothing would strip the flag
+  if (!navigator.serviceWorker?.controller) return fetch(url);
+  const flagged = new URL(url, window.location.href);
+  flagged.searchParams.set(SEARCH_SOURCE_PARAM, isIndex ? 'index' : 'data');
+  return fetch(flagged);
+}
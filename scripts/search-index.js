@@ -0,0 +1,434 @@
+/**
+ * Client-side inverted index with BM25 ranking.
+ * Built once per document set and queried on every keystroke, so all of the
+ * per-document work (tokenizing, stemming, field lengths) happens up front.
+ */
+
+/** BM25 term-frequency saturation. */
+const BM25_K1 = 1.2;
+/** BM25 field-length normalization. */
+const BM25_B = 0.75;
+/** Weight of a vocabulary term reached through prefix expansion (vs. an exact term). */
+const PREFIX_WEIGHT = 0.5;
+/** Upper bound of vocabulary terms a single query term may expand to. */
+const MAX_PREFIX_EXPANSIONS = 20;
+/** Weight of a vocabulary term reached through fuzzy matching, before distance penalty. */
+const FUZZY_WEIGHT = 0.6;
+/** Number of words shown in a result snippet, unless a caller asks for another length. */
+export const SNIPPET_WORDS = 28;
+/** Longest run of words used as the on-page highlight phrase of a snippet. */
+const MAX_PHRASE_WORDS = 6;
+
+/**
+ * Edits tolerated by fuzzy matching, by term length: short terms must match exactly,
+ * longer ones may contain one or two typos. The largest distance whose `minLength`
+ * the term reaches applies.
+ */
+export const DEFAULT_FUZZY_TOLERANCE = [
+  { minLength: 4, distance: 1 },
+  { minLength: 8, distance: 2 },
+];
+
+/** More generous tolerance used for "Did you mean…" suggestions. */
+export const SUGGESTION_TOLERANCE = [
+  { minLength: 3, distance: 1 },
+  { minLength: 5, distance: 2 },
+  { minLength: 9, distance: 3 },
+];
+
+/** Searchable fields and their boosts, in order of importance. */
+export const DEFAULT_FIELDS = [
+  { name: 'title', boost: 3 },
+  { name: 'description', boost: 2 },
+  { name: 'content', boost: 1 },
+];
+
+/** Words too common to carry any meaning in a query. */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than', 'that',
+  'the', 'their', 'then', 'there', 'these', 'this', 'to', 'use', 'was', 'we', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Reduces a word to its stem by stripping common English suffixes.
+ * Deliberately light: documents and queries go through the same rules,
+ * so consistency matters more than linguistic accuracy.
+ * @param {string} word - Lowercase word.
+ * @returns {string} Stemmed word.
+ */
+export function stem(word) {
+  if (word.length < 4 || /\d/.test(word)) return word;
+  let w = word;
+  if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) {
+    w = w.slice(0, -1);
+  }
+  const suffix = ['ational', 'ization', 'ations', 'ation', 'ments', 'ment', 'ness', 'ing', 'ed', 'ly']
+    .find((s) => w.endsWith(s) && w.length - s.length >= 3);
+  if (suffix) {
+    w = w.slice(0, -suffix.length);
+    // collapse doubled consonants left behind by "running", "mapped", ...
+    if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+  return w;
+}
+
+/**
+ * Splits text into lowercase words, dropping stop words and single characters.
+ * @param {string} text - Text to split.
+ * @returns {Array<string>} Words in order of appearance.
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Reads a tolerance table authored as text: "length: edits" pairs separated by commas,
+ * e.g. "4: 1, 8: 2" (one typo from 4 letters, two from 8), or "off" for exact matching.
+ * @param {string} value - Authored tolerance.
+ * @param {Array<{minLength: number, distance: number}>} [fallback] - Table used when the
+ *   value is empty or unreadable.
+ * @returns {Array<{minLength: number, distance: number}>} Tolerance table.
+ */
+export function parseTolerance(value, fallback = DEFAULT_FUZZY_TOLERANCE) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['off', 'none', 'exact', '0'].includes(text)) return [];
+  const table = text.split(/[,;]/)
+    .map((pair) => pair.split(':').map((n) => parseInt(n, 10)))
+    .filter(([minLength, distance]) => minLength > 0 && distance >= 0)
+    .map(([minLength, distance]) => ({ minLength, distance }));
+  return table.length ? table : fallback;
+}
+
+/**
+ * Returns the number of edits tolerated for a term of a given length.
+ * @param {number} length - Term length.
+ * @param {Array<{minLength: number, distance: number}>} [tolerance] - Tolerance table.
+ * @returns {number} Maximum edit distance (0 for exact match only).
+ */
+export function maxEdits(length, tolerance = DEFAULT_FUZZY_TOLERANCE) {
+  return (tolerance || []).reduce(
+    (max, { minLength, distance }) => (length >= minLength ? Math.max(max, distance) : max),
+    0,
+  );
+}
+
+/**
+ * Computes the edit distance between two words, counting insertions, deletions,
+ * substitutions and swaps of adjacent characters as one edit each.
+ * @param {string} a - First word.
+ * @param {string} b - Second word.
+ * @param {number} [limit] - Stop early and return `limit + 1` once the distance exceeds it.
+ * @returns {number} Edit distance.
+ */
+export function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Finds the vocabulary terms within a given edit distance of a term.
+ * @param {string} term - Term to match.
+ * @param {Iterable<string>} vocabulary - Candidate terms.
+ * @param {number} distance - Maximum edit distance.
+ * @returns {Array<{term: string, distance: number}>} Matches, closest first.
+ */
+export function findFuzzyTerms(term, vocabulary, distance) {
+  if (distance <= 0) return [];
+  const matches = [];
+  [...vocabulary].forEach((candidate) => {
+    if (candidate === term) return;
+    const d = editDistance(term, candidate, distance);
+    if (d <= distance) matches.push({ term: candidate, distance: d });
+  });
+  return matches.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Finds the first position in a sorted array whose value is not less than `value`.
+ * @param {Array<string>} sorted - Sorted array.
+ * @param {string} value - Value to locate.
+ * @returns {number} Insertion index.
+ */
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Builds an inverted index over a set of documents.
+ * @param {Array<Object>} docs - Documents to index.
+ * @param {Array<{name: string, boost: number}>} [fields] - Fields to index and their boosts.
+ * @returns {Object} Search index.
+ */
+export function buildSearchIndex(docs, fields = DEFAULT_FIELDS) {
+  const postings = new Map();
+  const lengths = fields.map(() => []);
+  const totals = fields.map(() => 0);
+  // spelling of each stem as it most often appears in the docs, for suggestions
+  const spellings = new Map();
+
+  docs.forEach((doc, docId) => {
+    fields.forEach(({ name }, fieldIdx) => {
+      const words = tokenize(doc[name]);
+      lengths[fieldIdx][docId] = words.length;
+      totals[fieldIdx] += words.length;
+      words.forEach((word) => {
+        const term = stem(word);
+        if (!spellings.has(term)) spellings.set(term, new Map());
+        const counts = spellings.get(term);
+        counts.set(word, (counts.get(word) || 0) + 1);
+        if (!postings.has(term)) postings.set(term, new Map());
+        const termDocs = postings.get(term);
+        if (!termDocs.has(docId)) termDocs.set(docId, fields.map(() => 0));
+        termDocs.get(docId)[fieldIdx] += 1;
+      });
+    });
+  });
+
+  return {
+    docs,
+    fields,
+    postings,
+    lengths,
+    avgLengths: totals.map((total) => (docs.length ? total / docs.length : 0)),
+    vocabulary: [...postings.keys()].sort(),
+    spellings: new Map([...spellings.entries()].map(([term, counts]) => [
+      term,
+      [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0],
+    ])),
+  };
+}
+
+/**
+ * Lists indexed terms starting with a given prefix (excluding the prefix itself).
+ * @param {Object} index - Search index.
+ * @param {string} prefix - Stemmed prefix.
+ * @returns {Array<string>} Matching vocabulary terms.
+ */
+function expandPrefix(index, prefix) {
+  const { vocabulary } = index;
+  const expansions = [];
+  for (let i = lowerBound(vocabulary, prefix); i < vocabulary.length; i += 1) {
+    const term = vocabulary[i];
+    if (!term.startsWith(prefix) || expansions.length >= MAX_PREFIX_EXPANSIONS) break;
+    if (term !== prefix) expansions.push(term);
+  }
+  return expansions;
+}
+
+/**
+ * Adds BM25F contributions of a single indexed term to the running scores.
+ * @param {Object} index - Search index.
+ * @param {string} term - Stemmed, indexed term.
+ * @param {number} weight - Multiplier for this term (1 for exact, lower for expansions).
+ * @param {Map<number, number>} scores - Running score per doc id.
+ * @returns {Set<number>} Ids of docs containing the term.
+ */
+function scoreTerm(index, term, weight, scores) {
+  const matches = index.postings.get(term);
+  if (!matches) return new Set();
+  const total = index.docs.length;
+  const idf = Math.log(1 + (total - matches.size + 0.5) / (matches.size + 0.5));
+  matches.forEach((freqs, docId) => {
+    let score = 0;
+    index.fields.forEach(({ boost }, fieldIdx) => {
+      const tf = freqs[fieldIdx];
+      if (!tf) return;
+      const avg = index.avgLengths[fieldIdx] || 1;
+      const norm = 1 - BM25_B + BM25_B * (index.lengths[fieldIdx][docId] / avg);
+      score += boost * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+    });
+    scores.set(docId, (scores.get(docId) || 0) + idf * score * weight);
+  });
+  return new Set(matches.keys());
+}
+
+/**
+ * Ranks indexed documents against a query.
+ * Every query term is matched exactly (after stemming) and, unless disabled,
+ * as a prefix of longer indexed terms so results appear while a word is still being typed.
+ * Terms missing from the index are matched fuzzily against similar indexed terms.
+ * Documents matching more of the query terms are ranked above partial matches.
+ * @param {Object} index - Search index from `buildSearchIndex`.
+ * @param {string} query - Raw user query.
+ * @param {Object} [options]
+ * @param {boolean} [options.prefix=true] - Whether to expand terms by prefix.
+ * @param {Array|false} [options.fuzzy] - Typo tolerance table, or `false` to disable.
+ * @param {number} [options.limit] - Maximum number of results.
+ * @returns {{terms: Array<string>, results: Array<{doc: Object, score: number}>}}
+ *   Query words (for highlighting) and ranked results.
+ */
+export function searchIndex(index, query, {
+  prefix = true,
+  fuzzy = DEFAULT_FUZZY_TOLERANCE,
+  limit,
+} = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (!index || !terms.length) return { terms, results: [] };
+
+  const scores = new Map();
+  const hits = new Map();
+  terms.forEach((word) => {
+    const term = stem(word);
+    const matched = scoreTerm(index, term, 1, scores);
+    if (prefix && word.length >= 3) {
+      expandPrefix(index, term).forEach((expansion) => {
+        scoreTerm(index, expansion, PREFIX_WEIGHT, scores).forEach((docId) => matched.add(docId));
+      });
+    }
+    if (fuzzy && !index.postings.has(term)) {
+      const distance = maxEdits(term.length, fuzzy);
+      findFuzzyTerms(term, index.vocabulary, distance).forEach((candidate) => {
+        const weight = FUZZY_WEIGHT * (1 - candidate.distance / (term.length + 1));
+        scoreTerm(index, candidate.term, weight, scores).forEach((docId) => matched.add(docId));
+      });
+    }
+    matched.forEach((docId) => hits.set(docId, (hits.get(docId) || 0) + 1));
+  });
+
+  const results = [...scores.entries()]
+    .map(([docId, score]) => ({
+      doc: index.docs[docId],
+      // coordination factor: favour docs that match every query term
+      score: score * (hits.get(docId) / terms.length),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return { terms, results: limit ? results.slice(0, limit) : results };
+}
+
+/**
+ * Builds a corrected query from the indexed vocabulary, for "Did you mean…" prompts.
+ * Each query word unknown to the index is replaced by its closest indexed term,
+ * preferring the most widely used one when several are equally close.
+ * @param {Object} index - Search index from `buildSearchIndex`.
+ * @param {string} query - Raw user query.
+ * @param {Array} [tolerance] - Typo tolerance table.
+ * @returns {string|null} Suggested query, or null if there is nothing to correct.
+ */
+export function suggestQuery(index, query, tolerance = SUGGESTION_TOLERANCE) {
+  const words = tokenize(query);
+  if (!index || !words.length) return null;
+  let changed = false;
+  const suggestion = words.map((word) => {
+    const term = stem(word);
+    if (index.postings.has(term)) return word;
+    const [closest] = findFuzzyTerms(term, index.vocabulary, maxEdits(term.length, tolerance))
+      .sort((a, b) => a.distance - b.distance
+        || index.postings.get(b.term).size - index.postings.get(a.term).size);
+    if (!closest) return word;
+    changed = true;
+    return index.spellings.get(closest.term) || closest.term;
+  });
+  return changed ? suggestion.join(' ') : null;
+}
+
+/**
+ * Checks whether a word of a text matches a query word the way the index does:
+ * same stem, word starting with the query word, or within typo tolerance.
+ * @param {string} word - Lowercase word from the text.
+ * @param {string} queryWord - Lowercase query word.
+ * @param {Array} tolerance - Typo tolerance table.
+ * @returns {boolean} Whether the word matches.
+ */
+function matchesWord(word, queryWord, tolerance) {
+  if (word.startsWith(queryWord)) return true;
+  const term = stem(queryWord);
+  const candidate = stem(word);
+  if (candidate === term) return true;
+  const distance = maxEdits(term.length, tolerance);
+  return distance > 0 && editDistance(candidate, term, distance) <= distance;
+}
+
+/**
+ * Extracts the passage of a text that best matches a query: the window of words
+ * containing the most distinct query words, then the most matches.
+ * @param {string} text - Text to extract from, e.g. a document's content.
+ * @param {Array<string>} terms - Query words, as returned by `searchIndex`.
+ * @param {number} [size] - Number of words in the snippet.
+ * @param {Array} [tolerance] - Typo tolerance table, as used for the search.
+ * @returns {{text: string, phrase: string, words: Array<string>}|null} Snippet text
+ *   (with ellipses where the text was cut), a literal phrase locating the match on the
+ *   page and the matched words; or null if the text does not match.
+ */
+export function extractSnippet(
+  text,
+  terms,
+  size = SNIPPET_WORDS,
+  tolerance = DEFAULT_FUZZY_TOLERANCE,
+) {
+  const source = String(text || '');
+  const words = [...source.matchAll(/[\p{L}\p{N}]+/gu)];
+  if (!words.length || !terms?.length) return null;
+
+  // which query word (if any) each word of the text matches, computed once per distinct word
+  const seen = new Map();
+  const hits = words.map(([word]) => {
+    const lower = word.toLowerCase();
+    if (!seen.has(lower)) {
+      seen.set(lower, terms.findIndex((term) => matchesWord(lower, term, tolerance)));
+    }
+    return seen.get(lower);
+  });
+
+  // try a window around each match, leaving a little context before it
+  let best = null;
+  hits.forEach((hit, position) => {
+    if (hit < 0) return;
+    const start = Math.max(0, Math.min(position - Math.floor(size / 4), words.length - size));
+    const matched = hits.slice(start, start + size).filter((h) => h >= 0);
+    const score = new Set(matched).size * size + matched.length;
+    if (!best || score > best.score) best = { start, score };
+  });
+  if (!best) return null;
+
+  const end = Math.min(words.length, best.start + size) - 1;
+  const wordEnd = (i) => words[i].index + words[i][0].length;
+  const snippet = source.slice(words[best.start].index, wordEnd(end)).replace(/\s+/g, ' ');
+
+  const matchedAt = hits
+    .map((hit, i) => (hit >= 0 && i >= best.start && i <= end ? i : -1))
+    .filter((i) => i >= 0);
+  const first = matchedAt[0];
+  const last = matchedAt.filter((i) => i - first < MAX_PHRASE_WORDS).pop();
+  // the phrase must stay within one line to be found again on the page
+  const phrase = source.slice(words[first].index, wordEnd(last));
+  const matchedWords = [...new Set(matchedAt.map((i) => words[i][0].toLowerCase()))];
+
+  return {
+    text: `${best.start > 0 ? '… ' : ''}${snippet}${end < words.length - 1 ? ' …' : ''}`,
+    phrase: /\n/.test(phrase) ? words[first][0] : phrase.replace(/\s+/g, ' '),
+    // drop words contained in other matched words so highlights never overlap
+    words: matchedWords.filter((word) => !matchedWords.some((w) => w !== word && w.includes(word))),
+  };
+}
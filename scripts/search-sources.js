@@ -0,0 +1,156 @@
+import { toClassName } from './aem.js';
+import { fetchSearchSource } from './search-cache.js';
+
+// sheets indexed by the search blocks, in registration order
+const searchSources = new Map();
+
+// doc fields holding URLs, whose templates get URL-encoded values
+const URL_FIELDS = ['path', 'image'];
+
+/**
+ * Registers a sheet to be included in search. Registering a source with an
+ * existing name replaces it.
+ * @param {Object} source - Source definition.
+ * @param {string} source.name - Unique name, also used as the result type (facet).
+ * @param {string} source.url - URL of the sheet JSON.
+ * @param {Function} source.map - Maps a sheet row to a search doc, or `null` to skip the row.
+ * @param {string} [source.label] - Display label for results from this source.
+ */
+export function registerSearchSource({
+  name, url, map, label,
+}) {
+  const key = toClassName(name || '');
+  if (!key || !url || typeof map !== 'function') {
+    // eslint-disable-next-line no-console
+    console.warn('Ignoring invalid search source', name);
+    return;
+  }
+  searchSources.set(key, {
+    name: key,
+    url,
+    map,
+    label: label || name,
+  });
+}
+
+/**
+ * Returns all registered search sources.
+ * @returns {Array<Object>} Registered sources, in registration order.
+ */
+export function getSearchSources() {
+  return [...searchSources.values()];
+}
+
+/**
+ * Fills `{column}` placeholders in a template with values from a sheet row. In URL
+ * templates, values placed inside the URL are encoded; a value filling the whole template
+ * is used as it is, since it is a URL itself.
+ * @param {string} template - Template, e.g. `/communities/{name}`.
+ * @param {Object} row - Sheet row.
+ * @param {boolean} [isUrl] - Whether the template is a URL.
+ * @returns {string} Filled template.
+ */
+function fillTemplate(template, row, isUrl = false) {
+  const encode = isUrl && !/^\{[^}]+\}$/.test(template.trim());
+  return template
+    .replace(/\{([^}]+)\}/g, (_, column) => {
+      const value = String(row[column.trim()] ?? '').trim();
+      return encode ? encodeURIComponent(value) : value;
+    })
+    .trim();
+}
+
+/**
+ * Creates a row mapper from field templates, so authors can describe a source
+ * without code. Missing templates default to the column of the same name.
+ * Rows without a title or path are skipped.
+ * @param {string} name - Source name.
+ * @param {Object} [templates] - Templates keyed by doc field (title, description, path, image).
+ * @returns {Function} Row mapper.
+ */
+export function createTemplateMapper(name, templates = {}) {
+  const fields = {
+    title: '{title}',
+    description: '{description}',
+    path: '{path}',
+    image: '{image}',
+    ...templates,
+  };
+  return (row) => {
+    if (!row || typeof row !== 'object') return null;
+    const doc = Object.fromEntries(Object.entries(fields)
+      .map(([field, template]) => [
+        field,
+        fillTemplate(template, row, URL_FIELDS.includes(field)),
+      ]));
+    if (!doc.title || !doc.path) return null;
+    return {
+      ...doc,
+      content: Object.values(row).join(' ').toLowerCase(),
+      source: name,
+    };
+  };
+}
+
+/**
+ * Parses a "field: template" list authored in a block config cell.
+ * @param {Element} cell - Config cell, with one template per line or list item.
+ * @returns {Object} Templates keyed by doc field.
+ */
+function parseTemplates(cell) {
+  const items = cell.querySelectorAll('li, p');
+  const lines = items.length
+    ? [...items].map((item) => item.textContent)
+    : cell.textContent.split('\n');
+  return lines.reduce((acc, line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      acc[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Registers search sources authored as block config rows and removes those rows.
+ * Each row reads `source | <name> | <sheet link> | <field templates>`, where the
+ * optional templates map sheet columns to results, e.g. `path: /roles#{name}`.
+ * @param {Element} block - Block to read source rows from.
+ */
+export function registerSearchSourcesFromBlock(block) {
+  [...block.children].forEach((row) => {
+    const [key, nameCell, urlCell, templatesCell] = [...row.children];
+    if (toClassName(key?.textContent || '') !== 'source' || !nameCell || !urlCell) return;
+    const name = nameCell.textContent.trim();
+    const href = urlCell.querySelector('a[href]')?.href || urlCell.textContent.trim();
+    const { pathname, search } = new URL(href, window.location.origin);
+    const url = `${pathname}${search}`;
+    const templates = templatesCell ? parseTemplates(templatesCell) : {};
+    registerSearchSource({
+      name,
+      url,
+      label: name,
+      map: createTemplateMapper(toClassName(name), templates),
+    });
+    row.remove();
+  });
+}
+
+/**
+ * Fetches a registered source and maps its rows into search docs.
+ * @param {Object} source - Registered source.
+ * @returns {Promise<Array>} Search docs, or an empty array if the source is unavailable.
+ */
+export async function fetchSearchSourceDocs(source) {
+  try {
+    const resp = await fetchSearchSource(source.url);
+    const json = await resp.json();
+    const rows = Array.isArray(json?.data) ? json.data : [];
+    return rows
+      .map((row) => source.map(row))
+      .filter(Boolean)
+      .map((doc) => ({ source: source.name, ...doc }));
+  } catch (error) {
+    return [];
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Reading cells of the sheets behind the events, recordings and speaker blocks, where
+ * empty cells can come out as blank strings, 0 or "0".
+ */
+
+/**
+ * Checks whether a cell is empty: null/undefined, blank, or the number/string 0.
+ * @param {*} value - Cell value.
+ * @returns {boolean} Whether the cell is empty.
+ */
+export function isEmptyField(value) {
+  if (value == null) return true;
+  if (typeof value === 'number') return value === 0;
+  const str = String(value).trim();
+  return str === '' || str === '0';
+}
+
+/**
+ * Trims a cell to a string, treating 0/"0"/blank as empty.
+ * @param {*} value - Cell value.
+ * @returns {string} Text, or ''.
+ */
+export function normalizeField(value) {
+  return isEmptyField(value) ? '' : String(value).trim();
+}
+
+/**
+ * Checks that a link from a sheet is http(s) (or relative); rejects javascript:, data:, etc.
+ * @param {string} url - Link.
+ * @returns {boolean} Whether the link is safe to use.
+ */
+export function isSafeUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return false;
+  try {
+    const u = new URL(url, window.location.origin);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
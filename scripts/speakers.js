@@ -0,0 +1,75 @@
+/** Page aggregating everything a speaker has presented (`/speakers?name=`). */
+export const SPEAKER_PAGE_PATH = '/speakers';
+
+/**
+ * Tidies a speaker name for display: trimmed, with single spaces.
+ * @param {string} name - Name as written in a sheet.
+ * @returns {string} Display name.
+ */
+function cleanName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Splits a speaker cell into individual names; co-speakers are separated by "&" or ",".
+ * @param {string} value - Speaker cell, e.g. "Jane Doe & John Smith".
+ * @returns {Array<string>} Speaker names.
+ */
+export function splitSpeakers(value) {
+  return String(value ?? '')
+    .split(/[&,]/)
+    .map(cleanName)
+    .filter(Boolean);
+}
+
+/**
+ * Returns the key identifying a speaker regardless of case and whitespace.
+ * @param {string} name - Speaker name.
+ * @returns {string} Speaker key.
+ */
+export function getSpeakerKey(name) {
+  return cleanName(name).toLowerCase();
+}
+
+/**
+ * Checks whether a speaker cell lists a speaker (alone or among co-speakers).
+ * @param {string} value - Speaker cell.
+ * @param {string} name - Speaker to look for.
+ * @returns {boolean} Whether the speaker is listed.
+ */
+export function hasSpeaker(value, name) {
+  const key = getSpeakerKey(name);
+  return !!key && splitSpeakers(value).some((speaker) => getSpeakerKey(speaker) === key);
+}
+
+/**
+ * Returns the profile URL of a speaker.
+ * @param {string} name - Speaker name.
+ * @returns {string} Speaker page URL.
+ */
+export function getSpeakerUrl(name) {
+  return `${SPEAKER_PAGE_PATH}?name=${encodeURIComponent(cleanName(name))}`;
+}
+
+/**
+ * Builds the speakers of a cell as links to their profiles, e.g. "A, B & C".
+ * @param {string} value - Speaker cell.
+ * @param {Object} [options]
+ * @param {string} [options.className] - Class of each link.
+ * @param {string} [options.exclude] - Speaker to leave out (e.g. on their own profile).
+ * @returns {DocumentFragment} Linked speaker names.
+ */
+export function buildSpeakerLinks(value, { className = 'speaker-link', exclude = '' } = {}) {
+  const excludeKey = getSpeakerKey(exclude);
+  const names = splitSpeakers(value).filter((name) => getSpeakerKey(name) !== excludeKey);
+  const fragment = document.createDocumentFragment();
+  names.forEach((name, i) => {
+    if (i > 0) fragment.append(i === names.length - 1 ? ' & ' : ', ');
+    const a = document.createElement('a');
+    a.href = getSpeakerUrl(name);
+    a.className = className;
+    a.textContent = name;
+    fragment.append(a);
+  });
+  return fragment;
+}
@@ -0,0 +1,54 @@
+/** Tag matching modes: a row matches any (OR) or all (AND) of the selected tags. */
+export const TAG_MATCH_ANY = 'any';
+export const TAG_MATCH_ALL = 'all';
+
+/**
+ * Splits a sheet `tag` cell into tags; multiple tags are separated by "," or ";".
+ * Duplicates (ignoring case) are dropped, keeping the first spelling.
+ * @param {string|number} value - Tag cell, e.g. "AEM, Edge Delivery".
+ * @returns {Array<string>} Tags.
+ */
+export function splitTags(value) {
+  if (value == null) return [];
+  const tags = String(value)
+    .split(/[,;]/)
+    .map((tag) => tag.trim().replace(/\s+/g, ' '))
+    // a lone 0 is how empty cells come out of some sheets
+    .filter((tag) => tag && tag !== '0');
+  return [...new Map(tags.map((tag) => [tag.toLowerCase(), tag])).values()];
+}
+
+/**
+ * Checks a row's tags against the selected tags (ignoring case).
+ * @param {Array<string>} tags - Tags of the row.
+ * @param {Iterable<string>} selected - Selected tags; an empty selection matches everything.
+ * @param {string} [mode] - `TAG_MATCH_ANY` (OR) or `TAG_MATCH_ALL` (AND).
+ * @returns {boolean} Whether the row matches.
+ */
+export function matchesTags(tags, selected, mode = TAG_MATCH_ANY) {
+  const wanted = [...selected].map((tag) => tag.toLowerCase());
+  if (!wanted.length) return true;
+  const own = new Set(tags.map((tag) => tag.toLowerCase()));
+  return mode === TAG_MATCH_ALL
+    ? wanted.every((tag) => own.has(tag))
+    : wanted.some((tag) => own.has(tag));
+}
+
+/**
+ * Builds a list of tag chips.
+ * @param {Array<string>} tags - Tags to show.
+ * @param {string} className - Class of the list; each item gets `<className>-item`.
+ * @returns {HTMLUListElement|null} Tag list, or null when there are no tags.
+ */
+export function buildTagList(tags, className) {
+  if (!tags.length) return null;
+  const list = document.createElement('ul');
+  list.className = className;
+  tags.forEach((tag) => {
+    const item = document.createElement('li');
+    item.className = `${className}-item`;
+    item.textContent = tag;
+    list.append(item);
+  });
+  return list;
+}
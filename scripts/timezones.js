@@ -0,0 +1,208 @@
+/**
+ * Timezone handling for sheet dates: parses a date-time as wall-clock time in an explicit
+ * source timezone (per row or per block), formats it for the viewer with the zone
+ * abbreviation, and classifies events as upcoming or past the same way everywhere.
+ */
+
+/** Abbreviations authors commonly type, mapped to IANA zones. */
+const TIME_ZONE_ALIASES = {
+  ist: 'Asia/Kolkata',
+  utc: 'UTC',
+  gmt: 'UTC',
+  bst: 'Europe/London',
+  cet: 'Europe/Berlin',
+  cest: 'Europe/Berlin',
+  est: 'America/New_York',
+  edt: 'America/New_York',
+  cst: 'America/Chicago',
+  cdt: 'America/Chicago',
+  pst: 'America/Los_Angeles',
+  pdt: 'America/Los_Angeles',
+  sgt: 'Asia/Singapore',
+  jst: 'Asia/Tokyo',
+  aest: 'Australia/Sydney',
+};
+
+/** The viewer's own zone. */
+export const VIEWER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Resolves an authored timezone (IANA name such as "Asia/Kolkata", or a common
+ * abbreviation such as "IST") to an IANA zone.
+ * @param {string} value - Authored timezone.
+ * @returns {string} IANA zone, or '' if the value is empty or unknown.
+ */
+export function resolveTimeZone(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const zone = TIME_ZONE_ALIASES[text.toLowerCase()] || text;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Returns the calendar fields of a date as seen in a timezone.
+ * @param {Date} date - Date.
+ * @param {string} [timeZone] - IANA zone; defaults to the viewer's.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number,
+ *   second: number}} Fields, with a 1-based month.
+ */
+export function getZonedParts(date, timeZone = VIEWER_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type)?.value || 0);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+  };
+}
+
+/** Offset of a zone from UTC at a given instant, in ms. */
+function getOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Reads the wall-clock fields written in a sheet cell, without applying any timezone.
+ * Handles Excel serials (fractions are the time of day) and date strings.
+ * @returns {Object|null} Fields (1-based month), or null if the value is not a date.
+ */
+function getWrittenParts(value) {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    // Excel serial: days since 1899-12-30, read in UTC so no zone is applied
+    const date = new Date(Math.round((Number(text) - 25569) * 86400) * 1000);
+    return getZonedParts(date, 'UTC');
+  }
+  // ISO date-times without an offset are read field by field (the viewer's zone may skip them)
+  const local = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (local) {
+    const [year, month, day, hour, minute, second] = local.slice(1).map((n) => Number(n || 0));
+    return {
+      year, month, day, hour, minute, second,
+    };
+  }
+  // date-only ISO strings are parsed as UTC, everything else as local time
+  const isIsoDate = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+  return getZonedParts(date, isIsoDate ? 'UTC' : VIEWER_TIME_ZONE);
+}
+
+/**
+ * Checks whether a sheet date cell has no time of day (whole Excel serial or "YYYY-MM-DD").
+ * @param {string|number} value - Date cell.
+ * @returns {boolean} Whether the value is date-only.
+ */
+export function isDateOnly(value) {
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) || /^\d{4}-\d{2}-\d{2}$/.test(text);
+}
+
+/**
+ * Parses a sheet date-time as wall-clock time in a source timezone. Values with an
+ * explicit offset ("Z", "+05:30") keep it; without a source zone, the viewer's is used.
+ * @param {string|number} value - Date cell (date string or Excel serial).
+ * @param {string} [timeZone] - Source IANA zone.
+ * @returns {Date|null} Date, or null if the value is empty or not a date.
+ */
+export function parseZonedDate(value, timeZone = '') {
+  if (value == null || String(value).trim() === '') return null;
+  const text = String(value).trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text) && /\d{1,2}:\d{2}/.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const p = getWrittenParts(text);
+  if (!p) return null;
+  const zone = timeZone || VIEWER_TIME_ZONE;
+  const guess = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  // the offset at the guessed instant can differ across a DST change, so settle it twice
+  let time = guess - getOffset(new Date(guess), zone);
+  time = guess - getOffset(new Date(time), zone);
+  return new Date(time);
+}
+
+/**
+ * Formats a date in a timezone.
+ * @param {Date} date - Date.
+ * @param {Object} options - Intl.DateTimeFormat options.
+ * @param {string} [timeZone] - IANA zone; defaults to the viewer's.
+ * @returns {string} Formatted date.
+ */
+export function formatInZone(date, options, timeZone = VIEWER_TIME_ZONE) {
+  if (!date) return '';
+  return new Intl.DateTimeFormat(undefined, { ...options, timeZone }).format(date);
+}
+
+/**
+ * Checks whether a source zone shows a different time than the viewer's zone at a date.
+ * @param {Date} date - Date.
+ * @param {string} timeZone - Source IANA zone.
+ * @returns {boolean} Whether the times differ.
+ */
+export function differsFromViewer(date, timeZone) {
+  return !!date && !!timeZone && getOffset(date, timeZone) !== getOffset(date, VIEWER_TIME_ZONE);
+}
+
+/**
+ * Builds a date/time shown in the viewer's zone (with its abbreviation), and, when the
+ * source zone differs, a toggle to show the original time. Date-only values are shown
+ * as the date of the source zone, without a time or toggle.
+ * @param {Date} date - Date.
+ * @param {Object} options
+ * @param {string} options.className - Class of the wrapper; parts get `<className>-*` classes.
+ * @param {Object} options.format - Intl.DateTimeFormat options for the date and time.
+ * @param {string} [options.timeZone] - Source IANA zone.
+ * @param {boolean} [options.dateOnly] - The value has no time of day.
+ * @returns {HTMLSpanElement} Zoned time.
+ */
+export function buildZonedTime(date, {
+  className, format, timeZone = '', dateOnly = false,
+}) {
+  const wrapper = document.createElement('span');
+  wrapper.className = className;
+  const time = document.createElement('time');
+  time.className = `${className}-value`;
+  time.dateTime = date.toISOString();
+  wrapper.append(time);
+  if (dateOnly) {
+    const { hour, minute, ...dateFormat } = format;
+    time.textContent = formatInZone(date, dateFormat, timeZone || VIEWER_TIME_ZONE);
+    return wrapper;
+  }
+  const local = formatInZone(date, { ...format, timeZoneName: 'short' });
+  time.textContent = local;
+  if (!differsFromViewer(date, timeZone)) return wrapper;
+
+  const original = formatInZone(date, { ...format, timeZoneName: 'short' }, timeZone);
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = `${className}-toggle`;
+  const update = (showOriginal) => {
+    time.textContent = showOriginal ? original : local;
+    toggle.setAttribute('aria-pressed', String(showOriginal));
+    toggle.textContent = showOriginal ? 'Show my time' : 'Show original time';
+  };
+  update(false);
+  toggle.addEventListener('click', () => update(toggle.getAttribute('aria-pressed') !== 'true'));
+  wrapper.append(' ', toggle);
+  return wrapper;
+}
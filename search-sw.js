@@ -0,0 +1,69 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Service worker for the search sources (docs index, FAQ, recordings and events).
+ * Serves them stale-while-revalidate, revalidating with ETags, so search works
+ * offline and renders instantly on repeat visits. Only requests flagged with the
+ * `search-source` query parameter (see scripts/search-cache.js) are handled; the
+ * parameter is stripped before the source is fetched and cached.
+ */
+const SOURCE_PARAM = 'search-source';
+const CACHE_PREFIX = 'search-sources-v';
+const CACHE_NAME = `${CACHE_PREFIX}${new URL(self.location.href).searchParams.get('v') || '1'}`;
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  // drop caches left behind by previous versions
+  event.waitUntil(caches.keys()
+    .then((keys) => Promise.all(keys
+      .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+      .map((key) => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+/**
+ * Fetches a fresh copy of a source, sending the cached ETag so unchanged
+ * sources cost a 304. Updates the cache when the source has changed.
+ * @param {Request} request - Original request.
+ * @param {string} url - Source URL, without the flag.
+ * @param {boolean} isIndex - Whether the source is the primary index.
+ * @param {Response} [cached] - Cached response, if any.
+ * @returns {Promise<Response>} Fresh (or still valid cached) response.
+ */
+async function revalidate(request, url, isIndex, cached) {
+  const cache = await caches.open(CACHE_NAME);
+  const etag = cached?.headers.get('etag');
+  const headers = new Headers(request.headers);
+  if (etag) headers.set('if-none-match', etag);
+  const response = await fetch(url, {
+    headers,
+    cache: 'no-store',
+    credentials: request.credentials,
+  });
+  if (response.status === 304) return cached;
+  if (!response.ok) return cached || response;
+  // a new version of the primary index invalidates every source cached alongside it
+  if (cached && isIndex && response.headers.get('etag') !== etag) {
+    const keys = await cache.keys();
+    await Promise.all(keys.map((key) => cache.delete(key)));
+  }
+  await cache.put(url, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const kind = url.searchParams.get(SOURCE_PARAM);
+  if (request.method !== 'GET' || !kind) return;
+  url.searchParams.delete(SOURCE_PARAM);
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(url.href, { ignoreVary: true });
+    const fresh = revalidate(request, url.href, kind === 'index', cached);
+    if (!cached) return fresh;
+    // serve the cached copy right away and refresh it in the background
+    event.waitUntil(fresh.catch(() => {}));
+    return cached;
+  })());
+});